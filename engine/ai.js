@@ -13,16 +13,101 @@
  * }
  *
  * WeaponDef key fields used:
- * - type: 'melee' | 'ranged' | 'aoe' | 'support'
+ * - type: 'melee' | 'ranged' | 'aoe' | 'support' | 'beam' | 'boomerang' | 'homing' | 'mine' | 'orbit'
  * - range: number
+ * - attackPower, attackCooldown, healAmount, beamDurationMs, beamTickMs (threat estimate)
+ * - orbitRadius, bladeRadius (orbiting blades keep their blades on the target)
+ *
+ * Target selection is pluggable: pickTarget(self, fighters, strategy) with a strategy from
+ * TARGET_STRATEGIES. Team tactics (TEAM_TACTICS) sit on top and are applied by the
+ * simulation, which also keeps the per-team state they need (e.g. the focus target).
+ *
+ * Support weapons with buffs choose per cast between healing and buffing an ally
+ * (chooseSupportAction).
+ *
+ * Helpers that search by distance take an optional `grid` (engine/spatialGrid.js) built
+ * over the same fighters list. The answer is the same as without it, only faster in big
+ * battles.
  */
 
 import { distance } from "./physics.js";
+import { hasStatus } from "./statusEffects.js";
+
+/**
+ * Target-selection strategies:
+ * - nearest: closest enemy
+ * - lowestHp: enemy with the least HP left (closest on ties)
+ * - threat: enemy dealing (or healing) the most per second, discounted with distance
+ * - healerFirst: closest enemy support, otherwise closest enemy
+ * - random: any enemy, picked with the supplied random()
+ */
+export const TARGET_STRATEGIES = ["nearest", "lowestHp", "threat", "healerFirst", "random"];
+
+/**
+ * Team tactics:
+ * - none: every fighter follows its own strategy
+ * - focusFire: the whole team attacks one target (picked with the team's strategy) until it dies
+ * - bodyguard: non-support fighters go for whichever enemy is closest to their team's support
+ */
+export const TEAM_TACTICS = ["none", "focusFire", "bodyguard"];
+
+// Distance (px) at which a target's threat counts half
+const THREAT_FALLOFF = 400;
+
+// Distance band (fractions of range) that beam, boomerang and homing fighters hold:
+// closer than the first they back off, farther than the second they close in
+const HOLD_BANDS = {
+  beam: [0.5, 0.85],
+  boomerang: [0.4, 0.8],
+  homing: [0.7, 1]
+};
+
+// Allies below this HP ratio get healed even when a buff is ready
+const HEAL_FIRST_RATIO = 0.6;
+
+// An ally whose nearest enemy is this close (px) is in the fight and worth buffing
+const ENGAGED_DISTANCE = 220;
+
+/**
+ * Validate and fill in a tactics config:
+ * {
+ *   strategy, tactic,                  // defaults for every team ("nearest", "none")
+ *   teams: [{ strategy, tactic }],     // optional overrides by team index
+ *   fighters: [strategy]               // optional strategy override by roster slot
+ * }
+ * Missing entries inherit from the level above; unknown names throw.
+ */
+export function resolveTactics(config = null) {
+  const strategy = checkName(config?.strategy ?? "nearest", TARGET_STRATEGIES, "target strategy");
+  const tactic = checkName(config?.tactic ?? "none", TEAM_TACTICS, "team tactic");
+  return {
+    strategy,
+    tactic,
+    teams: Array.from(config?.teams ?? [], t => ({
+      strategy: checkName(t?.strategy ?? strategy, TARGET_STRATEGIES, "target strategy"),
+      tactic: checkName(t?.tactic ?? tactic, TEAM_TACTICS, "team tactic")
+    })),
+    fighters: Array.from(config?.fighters ?? [], s => (s == null ? null : checkName(s, TARGET_STRATEGIES, "target strategy")))
+  };
+}
+
+function checkName(value, allowed, what) {
+  if (!allowed.includes(value)) throw new Error(`Unknown ${what}: ${value}`);
+  return value;
+}
 
 /**
  * Get the nearest enemy to 'self' among alive fighters.
  */
-export function getNearestEnemy(self, fighters) {
+export function getNearestEnemy(self, fighters, grid = null) {
+  if (grid) {
+    const pos = self.body.position;
+    return grid.nearest(
+      pos.x, pos.y,
+      f => f.id !== self.id && f.team !== self.team && f.hp > 0,
+      f => distance(pos, f.body.position)
+    );
+  }
   let best = null;
   let bestDist = Infinity;
   for (const f of fighters) {
@@ -38,14 +123,54 @@ export function getNearestEnemy(self, fighters) {
   return best;
 }
 
+/**
+ * Pick the enemy 'self' should attack with the given strategy (see TARGET_STRATEGIES).
+ * random() is only called by the "random" strategy. Returns null when no enemy is alive.
+ */
+export function pickTarget(self, fighters, strategy = "nearest", random = Math.random, grid = null) {
+  if (strategy === "nearest") return getNearestEnemy(self, fighters, grid);
+
+  const enemies = fighters.filter(f => f.team !== self.team && f.id !== self.id && f.hp > 0);
+  if (enemies.length === 0) return null;
+  const myPos = self.body.position;
+
+  if (strategy === "random") {
+    return enemies[Math.min(enemies.length - 1, Math.floor(random() * enemies.length))];
+  }
+  if (strategy === "healerFirst") {
+    const healers = enemies.filter(f => f.def.type === "support");
+    return getNearestEnemy(self, healers.length > 0 ? healers : enemies);
+  }
+  if (strategy === "lowestHp") {
+    return bestBy(enemies, f => f.hp, myPos);
+  }
+  if (strategy === "threat") {
+    return bestBy(enemies, f => -threatOf(f) / (1 + distance(myPos, f.body.position) / THREAT_FALLOFF), myPos);
+  }
+  throw new Error("Unknown target strategy: " + strategy);
+}
+
+/**
+ * Rough damage (or healing) per second a fighter puts out.
+ */
+export function threatOf(f) {
+  const def = f.def;
+  let perHit = def.attackPower;
+  if (def.type === "support") perHit = def.healAmount;
+  else if (def.type === "beam") perHit = def.attackPower * Math.ceil(def.beamDurationMs / def.beamTickMs);
+  return (perHit * 1000) / def.attackCooldown;
+}
+
 /**
  * Find the lowest HP ratio ally within an optional maxRange.
  * If maxRange is not provided, search all allies.
  */
-export function getLowestHpAlly(self, fighters, maxRange = null) {
+export function getLowestHpAlly(self, fighters, maxRange = null, grid = null) {
   let best = null;
   let bestRatio = 1.01;
-  for (const f of fighters) {
+  const pos = self.body.position;
+  const candidates = grid && maxRange != null ? grid.query(pos.x, pos.y, maxRange) : fighters;
+  for (const f of candidates) {
     if (f.team !== self.team) continue;
     if (f.id === self.id) continue;
     if (f.hp <= 0) continue;
@@ -65,33 +190,70 @@ export function getLowestHpAlly(self, fighters, maxRange = null) {
 /**
  * For support: prefer an ally in range to heal, otherwise fallback to lowest HP ally overall.
  */
-export function pickSupportTarget(self, fighters, healRange) {
-  const inRange = getLowestHpAlly(self, fighters, healRange);
+export function pickSupportTarget(self, fighters, healRange, grid = null) {
+  const inRange = getLowestHpAlly(self, fighters, healRange, grid);
   if (inRange) return inRange;
   return getLowestHpAlly(self, fighters, null);
 }
 
+/**
+ * What a support fighter casts when its cooldown is ready.
+ * - allies: alive allies in its range (not itself)
+ * - healTarget: the injured ally it would heal, or null
+ * Heals an ally below HEAL_FIRST_RATIO first. Otherwise buffs the engaged ally closest to
+ * an enemy that is missing one of the weapon's buffs, and failing that tops up healTarget.
+ * Returns { action: 'heal' | 'buff', target } or null when there is nothing to do.
+ */
+export function chooseSupportAction(self, allies, healTarget, fighters, now, grid = null) {
+  if (healTarget && healTarget.hp / healTarget.maxHp < HEAL_FIRST_RATIO) {
+    return { action: "heal", target: healTarget };
+  }
+  const buffs = self.def.buffs ?? [];
+  let best = null;
+  let bestDist = ENGAGED_DISTANCE;
+  for (const a of allies) {
+    if (buffs.every(b => hasStatus(a.statuses, b.effect, now))) continue;
+    const enemy = getNearestEnemy(a, fighters, grid);
+    if (!enemy) continue;
+    const d = distance(a.body.position, enemy.body.position);
+    if (d < bestDist) {
+      best = a;
+      bestDist = d;
+    }
+  }
+  if (best) return { action: "buff", target: best };
+  return healTarget ? { action: "heal", target: healTarget } : null;
+}
+
 /**
  * Decide a desired point to move toward for the current fighter based on weapon type.
  * - melee: chase enemy
  * - ranged: kite if too close, close distance if too far
  * - aoe: keep moderate distance (hover near edge of range)
+ * - beam: hold the enemy inside the beam's range, backing off when it gets close
+ * - boomerang: like ranged, but closer in so the throw reaches
+ * - homing: keep far back near the edge of range; the missiles do the chasing
+ * - mine: run from enemies within range (so chasers cross the minefield), close in otherwise
+ * - orbit: circle at blade distance so the blades sweep through the enemy
  * - support: move toward ally to heal; otherwise keep distance from enemies
  *
+ * target is the enemy to engage (defaults to the nearest); support always keeps away
+ * from the nearest enemy instead.
  * Returns { x, y } point in world coords, or null if no movement desired.
  */
-export function desiredMovePoint(self, fighters) {
+export function desiredMovePoint(self, fighters, target = undefined, grid = null) {
   const def = self.def;
   const myPos = self.body.position;
 
-  const enemy = getNearestEnemy(self, fighters);
+  const nearest = getNearestEnemy(self, fighters, grid);
+  const enemy = def.type === "support" || target === undefined ? nearest : target;
 
   if (def.type === "support") {
-    const ally = pickSupportTarget(self, fighters, def.range ?? 160);
+    const ally = pickSupportTarget(self, fighters, def.range, grid);
     if (ally) {
       // If ally far, move toward; if already close, try to steer away from nearest enemy a bit.
       const dAlly = distance(myPos, ally.body.position);
-      if (dAlly > (def.range ?? 160) * 0.7) {
+      if (dAlly > (def.range) * 0.7) {
         return ally.body.position;
       }
       if (enemy) {
@@ -111,7 +273,7 @@ export function desiredMovePoint(self, fighters) {
   // Non-support
   if (!enemy) return null;
 
-  const r = def.range ?? 100;
+  const r = def.range;
   const d = distance(myPos, enemy.body.position);
 
   if (def.type === "ranged") {
@@ -131,6 +293,27 @@ export function desiredMovePoint(self, fighters) {
     return null;
   }
 
+  if (def.type === "beam" || def.type === "boomerang" || def.type === "homing") {
+    const [near, far] = HOLD_BANDS[def.type];
+    if (d < r * near) return pointAway(myPos, enemy.body.position, r * (near + far) / 2);
+    if (d > r * far) return enemy.body.position;
+    return null;
+  }
+
+  if (def.type === "mine") {
+    if (d < r) return pointAway(myPos, enemy.body.position, r * 1.5);
+    return enemy.body.position;
+  }
+
+  if (def.type === "orbit") {
+    // Aim for a spot beside the enemy, one blade orbit away, so the blades cut across it
+    const reach = def.orbitRadius;
+    if (d > reach * 2) return enemy.body.position;
+    const ex = (myPos.x - enemy.body.position.x) / (d || 1);
+    const ey = (myPos.y - enemy.body.position.y) / (d || 1);
+    return { x: enemy.body.position.x + (ex - ey) * reach * 0.7, y: enemy.body.position.y + (ey + ex) * reach * 0.7 };
+  }
+
   // melee default: chase
   return enemy.body.position;
 }
@@ -139,12 +322,12 @@ export function desiredMovePoint(self, fighters) {
  * Simple range checks for various action intents.
  */
 export function isInMeleeRange(self, target) {
-  const r = self.def.range ?? 28;
-  return distance(self.body.position, target.body.position) <= r + (self.def.radius ?? 16) + (target.def?.radius ?? 16);
+  const r = self.def.range;
+  return distance(self.body.position, target.body.position) <= r + self.def.radius + target.def.radius;
 }
 
 export function isInRangedRange(self, target) {
-  const r = self.def.range ?? 200;
+  const r = self.def.range;
   return distance(self.body.position, target.body.position) <= r;
 }
 
@@ -167,3 +350,20 @@ function pointAway(from, to, desiredDistance = 100) {
     y: to.y + ny * desiredDistance
   };
 }
+
+// Lowest score wins; ties go to the one closest to 'from'
+function bestBy(list, score, from) {
+  let best = null;
+  let bestScore = Infinity;
+  let bestDist = Infinity;
+  for (const f of list) {
+    const s = score(f);
+    const d = distance(from, f.body.position);
+    if (s < bestScore || (s === bestScore && d < bestDist)) {
+      best = f;
+      bestScore = s;
+      bestDist = d;
+    }
+  }
+  return best;
+}
@@ -0,0 +1,141 @@
+/**
+ * Arena shapes and the geometry shared by physics, spawning and rendering.
+ *
+ * A play area is the arena's bounding box plus its real boundary:
+ *   { x, y, w, h, shape, outline: [{ x, y }, ...] }
+ * outline is a convex polygon in clockwise order (screen coordinates). Circles and
+ * rounded corners are approximated with short segments, matching the physics walls.
+ * Play areas without a shape or outline (older recordings) are plain rectangles.
+ */
+
+export const ARENA_SHAPES = ["rect", "circle", "hexagon", "octagon", "roundedRect"];
+
+const CIRCLE_SEGMENTS = 40;
+const CORNER_SEGMENTS = 6;
+const CORNER_RADIUS = 0.18; // rounded rectangle, fraction of the shorter side
+
+/**
+ * Fit a shape inside the rectangle { x, y, w, h } (centred) and return its play area.
+ * Regular shapes (circle, hexagon, octagon) keep their proportions, so their bounding
+ * box can be smaller than the rectangle.
+ */
+export function makePlayArea(shape, rect) {
+  const cx = rect.x + rect.w / 2;
+  const cy = rect.y + rect.h / 2;
+  let outline;
+
+  if (shape === "circle") {
+    const r = Math.min(rect.w, rect.h) / 2;
+    outline = regularPolygon(cx, cy, r, CIRCLE_SEGMENTS, 0);
+  } else if (shape === "hexagon") {
+    // Flat top and bottom: width 2r, height sqrt(3) r
+    const r = Math.min(rect.w / 2, rect.h / Math.sqrt(3));
+    outline = regularPolygon(cx, cy, r, 6, 0);
+  } else if (shape === "octagon") {
+    // Flat sides on all four axes
+    const r = Math.min(rect.w, rect.h) / 2 / Math.cos(Math.PI / 8);
+    outline = regularPolygon(cx, cy, r, 8, Math.PI / 8);
+  } else if (shape === "roundedRect") {
+    outline = roundedRectOutline(rect, Math.min(rect.w, rect.h) * CORNER_RADIUS);
+  } else {
+    return { ...rect, shape: "rect", outline: rectOutline(rect) };
+  }
+
+  return { ...boundingBox(outline), shape, outline };
+}
+
+/**
+ * Deep copy of a play area (the outline is an array of points).
+ */
+export function copyPlayArea(area) {
+  return { ...area, outline: area.outline ? area.outline.map(p => ({ ...p })) : undefined };
+}
+
+/**
+ * Whether a circle of the given radius lies fully inside the play area.
+ */
+export function isInsideArena(point, radius, area) {
+  const outline = outlineOf(area);
+  for (let i = 0; i < outline.length; i++) {
+    if (edgeDistance(point, outline[i], outline[(i + 1) % outline.length]) < radius) return false;
+  }
+  return true;
+}
+
+/**
+ * Move a circle of the given radius inside the play area if it isn't already:
+ * the point slides toward the centre until the whole circle fits.
+ */
+export function constrainToArena(point, radius, area) {
+  if (isInsideArena(point, radius, area)) return { x: point.x, y: point.y };
+  const c = { x: area.x + area.w / 2, y: area.y + area.h / 2 };
+  // Binary search along centre -> point for the farthest spot that fits (the shape is convex)
+  let lo = 0;
+  let hi = 1;
+  for (let i = 0; i < 24; i++) {
+    const mid = (lo + hi) / 2;
+    const p = { x: c.x + (point.x - c.x) * mid, y: c.y + (point.y - c.y) * mid };
+    if (isInsideArena(p, radius, area)) lo = mid;
+    else hi = mid;
+  }
+  return { x: c.x + (point.x - c.x) * lo, y: c.y + (point.y - c.y) * lo };
+}
+
+/**
+ * Boundary polygon of a play area (a rectangle for areas without an outline).
+ */
+export function outlineOf(area) {
+  return area.outline ?? rectOutline(area);
+}
+
+// Signed distance from a point to a clockwise edge; positive inside the polygon
+function edgeDistance(p, a, b) {
+  const ex = b.x - a.x;
+  const ey = b.y - a.y;
+  const len = Math.hypot(ex, ey) || 1;
+  // Inward normal of a clockwise polygon in screen coordinates (y down) is (-ey, ex)
+  return ((p.x - a.x) * -ey + (p.y - a.y) * ex) / len;
+}
+
+function regularPolygon(cx, cy, r, sides, startAngle) {
+  const pts = [];
+  for (let i = 0; i < sides; i++) {
+    const a = startAngle + (i / sides) * Math.PI * 2; // increasing angle = clockwise on screen
+    pts.push({ x: cx + Math.cos(a) * r, y: cy + Math.sin(a) * r });
+  }
+  return pts;
+}
+
+function rectOutline({ x, y, w, h }) {
+  return [
+    { x, y },
+    { x: x + w, y },
+    { x: x + w, y: y + h },
+    { x, y: y + h }
+  ];
+}
+
+function roundedRectOutline({ x, y, w, h }, r) {
+  const corners = [
+    { cx: x + w - r, cy: y + r, start: -Math.PI / 2 },      // top-right
+    { cx: x + w - r, cy: y + h - r, start: 0 },             // bottom-right
+    { cx: x + r, cy: y + h - r, start: Math.PI / 2 },       // bottom-left
+    { cx: x + r, cy: y + r, start: Math.PI }                // top-left
+  ];
+  const pts = [];
+  for (const c of corners) {
+    for (let i = 0; i <= CORNER_SEGMENTS; i++) {
+      const a = c.start + (i / CORNER_SEGMENTS) * (Math.PI / 2);
+      pts.push({ x: c.cx + Math.cos(a) * r, y: c.cy + Math.sin(a) * r });
+    }
+  }
+  return pts;
+}
+
+function boundingBox(points) {
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, w: Math.max(...xs) - x, h: Math.max(...ys) - y };
+}
@@ -0,0 +1,86 @@
+/**
+ * Minimal event emitter for combat events.
+ * The simulation emits into an emitter owned by whoever created it (the game, a batch
+ * runner, a test), so listeners survive from one match to the next.
+ *
+ * Event payloads (every payload also carries `time`, the simulation clock in ms):
+ * - matchStart:        { seed, mode, roster, fighters: [{ id, team, weapon, name, color, maxHp }] }
+ * - damage:            { attackerId, targetId, amount, absorbed, weapon, cause, x, y, targetHp }
+ *                      cause: 'melee' | 'projectile' | 'splash' | 'aoe' | 'beam' | 'mine' |
+ *                             'blade' | 'collision' | 'zone' | 'hazard' |
+ *                             'burn' | 'poison' | 'bleed' (status effect ticks)
+ *                      (zone and hazard damage have no attacker); absorbed is what a shield
+ *                      took before amount reached HP
+ * - statusApplied:     { attackerId, targetId, weapon, effect, durationMs, value }
+ *                      (engine/statusEffects.js; value is null for stun; support weapons
+ *                      apply their onHit and buffs to allies)
+ * - heal:              { healerId, targetId, amount, weapon, x, y, targetHp }
+ * - death:             { fighterId, team, weapon, killerId, killerWeapon, cause, x, y }
+ *                      killer fields come from the killing blow (null if nothing caused it)
+ * - projectileFired:   { projectileId, ownerId, weapon, targetId, x, y, vx, vy }
+ * - projectileExpired: { projectileId, ownerId, weapon, reason, hits, x, y }
+ *                      reason: 'hit' | 'timeout' | 'caught' | 'wall' | 'intercepted' | 'matchEnd'
+ *                      ('caught': a boomerang made it back to its owner; 'wall': out of
+ *                      bounces; 'intercepted': destroyed by an enemy shot; 'matchEnd': still
+ *                      flying when the match ended, just before matchEnd); hits counts the
+ *                      enemies it hit directly
+ * - aoeBurst:          { attackerId, weapon, x, y, radius, targetIds }
+ *                      (aoe weapons, mine blasts, and projectile splash)
+ * - matchEnd:          { winner, survivorIds, kills }
+ *                      kills: [{ time, victimId, victimName, victimColor,
+ *                                killerId, killerName, killerColor, cause }]
+ *
+ * attackerId / healerId are null when nothing caused the change; weapon is the
+ * responsible fighter's weapon key.
+ */
+
+export const COMBAT_EVENTS = [
+  "matchStart",
+  "damage",
+  "heal",
+  "death",
+  "projectileFired",
+  "projectileExpired",
+  "aoeBurst",
+  "statusApplied",
+  "matchEnd"
+];
+
+export function createEmitter() {
+  const handlers = new Map(); // eventName -> Set<handler>
+
+  /**
+   * Subscribe to an event. Returns an unsubscribe function.
+   */
+  function on(eventName, handler) {
+    if (!COMBAT_EVENTS.includes(eventName)) {
+      throw new Error("Unknown event: " + eventName);
+    }
+    let set = handlers.get(eventName);
+    if (!set) {
+      set = new Set();
+      handlers.set(eventName, set);
+    }
+    set.add(handler);
+    return () => off(eventName, handler);
+  }
+
+  function off(eventName, handler) {
+    handlers.get(eventName)?.delete(handler);
+  }
+
+  function emit(eventName, payload) {
+    const set = handlers.get(eventName);
+    if (!set || set.size === 0) return;
+    for (const handler of [...set]) {
+      // A broken listener must not take the simulation down with it
+      try {
+        handler(payload);
+      } catch (e) {
+        console.error(`Error in "${eventName}" handler:`, e);
+      }
+    }
+  }
+
+  return { on, off, emit };
+}
@@ -1,298 +1,134 @@
 /**
- * Game loop and battle simulation.
- * Orchestrates physics, AI, combat, and rendering.
+ * Game loop and rendering.
+ * Drives a headless simulation (engine/simulation.js) with requestAnimationFrame
+ * and draws its state onto a canvas. Live matches are recorded (engine/recording.js)
+ * and recordings can be played back with pause, seek, frame-step, and speed control.
  */
 
-import {
-  initPhysics,
-  step as physicsStep,
-  makeFighterBody,
-  makeProjectileBody,
-  setConstantSpeed,
-  applyRadialForce,
-  distance
-} from "./physics.js";
-import {
-  getWeaponDef
-} from "./weapons.js";
-import {
-  getNearestEnemy,
-  isInMeleeRange,
-  isInRangedRange
-} from "./ai.js";
+import { createSimulation, armyCapacity } from "./simulation.js";
+import { randomSeed } from "./random.js";
+import { createRecorder, decodeFrame } from "./recording.js";
+import { createEmitter } from "./events.js";
+import { createScriptBrain } from "./scriptBrain.js";
+import { STATUS_EFFECTS } from "./statusEffects.js";
 
 /**
- * Factory for the game simulation.
+ * Factory for the browser game.
  * - canvas: HTMLCanvasElement
- * - options: { showHPBars: boolean, showDamage: boolean, timeScale: number }
- * - callbacks: { onWin: (winnerText) => void }
+ * - options: { showHPBars: boolean, showDamage: boolean, showDebug: boolean, showPerf: boolean, timeScale: number }
+ * - callbacks: {
+ *     onWin: (winnerText, result) => void,
+ *     onPlaybackUpdate: ({ frame, frames, time, duration, playing, speed }) => void,
+ *     onPauseChange: (paused) => void,
+ *     onInspect: (details | null) => void,  // see simulation inspectFighter()
+ *     onScriptError: (message) => void     // a fighter script failed (engine/scriptBrain.js)
+ *   }
+ *   result: { winner, seed, mode, roster, time, kills }
+ *   kills: kill log with last-hit attribution (see the matchEnd event in engine/events.js)
+ *
+ * startMatch(config) takes { mode, roster, teams, seed, map, hazards, movement, tactics, scripts };
+ * teams optionally fixes the team of each roster slot (massive armies, see simulation
+ * armyRoster); scripts is an optional list by roster slot of { name, code } (null for the
+ * built-in AI). It throws the simulation's Error when the match can't be set up, e.g. an
+ * army too big to line up in the arena.
+ * armyCapacity(armies, map) says how many fighters each massive army has room for in the
+ * canvas as it is now (see simulation armyCapacity).
+ *
+ * Crowded battles (more than CROWD_SIZE fighters) draw thin HP bars on wounded fighters only,
+ * plus a total HP bar per team in the top-left corner.
+ *
+ * Projectiles are drawn by kind (bullets as dots, spinning boomerangs, missiles with a
+ * tail), beams as glowing lines, mines as discs that blink once armed, and orbiting blades
+ * as small spinning diamonds.
+ *
+ * Status effects show on the ball: a coloured halo per buff (shield, empower, haste,
+ * fortify), circling sparks while stunned, and a coloured pip per other effect (burn,
+ * poison, bleed, slow) under it.
+ *
+ * Combat events from every match are available through game.on(eventName, handler);
+ * see engine/events.js for event names and payloads.
  */
 export function createGame({ canvas, options = {}, callbacks = {} }) {
   const ctx = canvas.getContext("2d");
   // Use CSS pixel dimensions for physics and rendering so the playArea matches the visual canvas.
   // canvas.width/height are device-pixel sizes (scaled by devicePixelRatio when we set them).
-  const dpr = window.devicePixelRatio || 1;
-  const pixelWidth = canvas.width;
-  const pixelHeight = canvas.height;
-  const width = Math.floor(pixelWidth / dpr);
-  const height = Math.floor(pixelHeight / dpr);
+  // Both are re-read by resize() after the canvas changes size or moves to another screen.
+  let width = 0;
+  let height = 0;
+  measureCanvas();
 
   const showHPBars = { value: options.showHPBars ?? true };
   const showDamage = { value: options.showDamage ?? true };
+  const showDebug = { value: options.showDebug ?? false };
+  const showPerf = { value: options.showPerf ?? false };
   const timeScale = { value: options.timeScale ?? 1 };
 
   const onWin = callbacks.onWin ?? (() => {});
+  const onPlaybackUpdate = callbacks.onPlaybackUpdate ?? (() => {});
+  const onPauseChange = callbacks.onPauseChange ?? (() => {});
+  const onInspect = callbacks.onInspect ?? (() => {});
+  const onScriptError = callbacks.onScriptError ?? (() => {});
+  const events = createEmitter();
 
-  // Physics (use default gravity configured by physics.initPhysics)
-  const physics = initPhysics({ width, height });
+  // Kill feed: how many entries to show and for how long (sim ms)
+  const KILL_FEED_SIZE = 5;
+  const KILL_FEED_MS = 6000;
+
+  // Above this many fighters per match, HP bars switch to the compact style and team totals
+  const CROWD_SIZE = 24;
+  const TEAM_COLORS = ["#60a5fa", "#f87171", "#facc15", "#c084fc"];
+
+  // Longest real frame we try to catch up on (e.g. after a background tab resumes)
+  const MAX_FRAME_MS = 100;
+
+  // Perf HUD: exponentially smoothed timings of live frames (ms)
+  const PERF_SMOOTHING = 0.1;
+  const perf = { frameMs: 0, simMs: 0, renderMs: 0, steps: 0 };
 
   // State
   let rafId = null;
   let running = false;
   let lastTime = 0;
+  let sim = null;
+  let paused = false;
+  let brains = [];          // Script brains (Workers) of the live match
 
-  let fighters = [];        // Alive fighters
-  let corpses = [];         // Dead fighters drawn faintly
-  let projectiles = [];     // Active projectiles
-  let effects = [];         // Visual effects (AOE rings, etc.)
-  let floaters = [];        // Floating texts (damage/heal)
+  // Debug inspection of a single fighter
+  let inspectedId = null;
+  let inspectedAt = -1;     // sim time of the last inspector update
 
   // For replay
   let lastMatchConfig = null;
-  let lastMatchTeams = null; // remember initial team assignment for correct win logic
-
-  // ============ Fighter and projectile helpers ============
-
-  function spawnFighter({ id, team, defKey, x, y, bossMultiplier = 1 }) {
-    const def = getWeaponDef(defKey);
-    if (!def) throw new Error("Unknown weapon: " + defKey);
-    const body = makeFighterBody({
-      x, y, radius: def.radius ?? 16
-    });
-    body.renderColor = def.color;
-    body.label = "fighter";
-    const maxHp = Math.round(def.hp * bossMultiplier);
-    const fighter = {
-      id,
-      team,
-      def,
-      hp: maxHp,
-      maxHp,
-      body,
-      lastAttackAt: 0,
-      name: def.name,
-      moveSpeed: def.speed ?? 7
-    };
-    physics.add(body);
-    fighters.push(fighter);
-    return fighter;
-  }
-
-  function fireProjectile(owner, targetPos) {
-    const def = owner.def;
-    const radius = def.projectileRadius ?? 4;
-
-    const projBody = makeProjectileBody({
-      x: owner.body.position.x,
-      y: owner.body.position.y,
-      radius
-    });
-    projBody.label = "projectile";
-
-    // Set velocity toward target
-    const dx = targetPos.x - owner.body.position.x;
-    const dy = targetPos.y - owner.body.position.y;
-    const len = Math.hypot(dx, dy) || 1;
-    const speed = def.projectileSpeedPx ?? ((def.projectileSpeed ?? 0.03) * 250);
-    const vx = (dx / len) * speed;
-    const vy = (dy / len) * speed;
-    Matter.Body.setVelocity(projBody, { x: vx, y: vy });
-
-    physics.add(projBody);
-
-    const proj = {
-      id: Date.now() + Math.random(),
-      team: owner.team,
-      ownerId: owner.id,
-      power: def.attackPower,
-      knockback: def.knockback ?? 0.01,
-      color: def.color,
-      radius,
-      body: projBody,
-      bornAt: performance.now(),
-      lifeMs: 4000,
-      moveSpeed: speed
-    };
-    projectiles.push(proj);
-    return proj;
-  }
-
-  function addFloater(x, y, text, color = "#fff") {
-    if (!showDamage.value) return;
-    floaters.push({
-      x, y, text, color,
-      age: 0,
-      duration: 800,
-      vy: -0.035
-    });
-  }
-
-  function addAoeRing(x, y, radius, color) {
-    effects.push({
-      type: "ring",
-      x, y, radius,
-      age: 0,
-      duration: 300,
-      color
-    });
-  }
+  let recorder = null;
+  let lastRecording = null;
 
-  function dealDamage(target, amount, hitPoint, color = "#fff") {
-    if (target.hp <= 0) return;
-    target.hp = Math.max(0, target.hp - amount);
-    addFloater(hitPoint.x, hitPoint.y, `-${amount}`, color);
-    if (target.hp <= 0) {
-      // Move to corpses and remove body
-      corpses.push(target);
-      physics.remove(target.body);
-      fighters = fighters.filter(f => f.id !== target.id);
-    }
-  }
-
-  function applyHeal(target, amount, atPoint) {
-    const before = target.hp;
-    target.hp = Math.min(target.maxHp, target.hp + amount);
-    const gained = Math.round(target.hp - before);
-    if (gained > 0) {
-      addFloater(atPoint.x, atPoint.y, `+${gained}`, "#10b981");
-    }
-  }
-
-  // ============ Collisions ============
-
-  physics.onCollisionStart((evt) => {
-    const pairs = evt.pairs;
-    for (const p of pairs) {
-      const a = p.bodyA;
-      const b = p.bodyB;
-
-      // projectile <-> fighter
-      const proj = findProjectileByBody(a) || findProjectileByBody(b);
-      const fighter = findFighterByBody(a) || findFighterByBody(b);
-      if (proj && fighter) {
-        // team check
-        if (proj.team !== fighter.team && fighter.hp > 0) {
-          // Hit point approximate: collision midpoint
-          const hx = (p.collision.supports[0]?.x ?? fighter.body.position.x);
-          const hy = (p.collision.supports[0]?.y ?? fighter.body.position.y);
-
-          const dmg = Math.round(proj.power);
-          dealDamage(fighter, dmg, { x: hx, y: hy }, "#ffd166");
-
-          // Knockback away from projectile
-          applyRadialForce(fighter.body, proj.body.position, proj.knockback ?? 0.01);
-
-          // Remove projectile
-          removeProjectile(proj);
-        } else {
-          // Same team or dead, let it pass (optional: remove)
-        }
-      }
-
-      // fighter <-> fighter collision damage based on impact speed
-      const fa = findFighterByBody(a);
-      const fb = findFighterByBody(b);
-      if (fa && fb && fa.id !== fb.id && fa.hp > 0 && fb.hp > 0 && fa.team !== fb.team) {
-        // approximate relative impact speed
-        const rvx = a.velocity.x - b.velocity.x;
-        const rvy = a.velocity.y - b.velocity.y;
-        const relSpeed = Math.hypot(rvx, rvy);
-
-        // threshold to avoid tiny grazes causing damage
-        if (relSpeed > 1.2) {
-          // scale damage by impact and attackPower; tuned constant for reasonable numbers
-          const impact = relSpeed;
-          const dmgToA = Math.max(1, Math.round((fb.def.attackPower ?? 10) * impact * 0.06));
-          const dmgToB = Math.max(1, Math.round((fa.def.attackPower ?? 10) * impact * 0.06));
-
-          const hx = (p.collision.supports[0]?.x ?? a.position.x);
-          const hy = (p.collision.supports[0]?.y ?? a.position.y);
-
-          dealDamage(fa, dmgToA, { x: hx, y: hy }, "#ff7b7b");
-          dealDamage(fb, dmgToB, { x: hx, y: hy }, "#ff7b7b");
-
-          // add small knockback impulse based on impact
-          applyRadialForce(fa.body, b.position, Math.min(0.08, impact * 0.008));
-          applyRadialForce(fb.body, a.position, Math.min(0.08, impact * 0.008));
-        }
-      }
-    }
-  });
-
-  function findFighterByBody(body) {
-    return fighters.find(f => f.body === body) || null;
-  }
-  function findProjectileByBody(body) {
-    return projectiles.find(p => p.body === body) || null;
-  }
-  function removeProjectile(proj) {
-    physics.remove(proj.body);
-    projectiles = projectiles.filter(p => p.id !== proj.id);
-  }
+  // Recording playback (position is a fractional frame index)
+  const playback = { recording: null, position: 0, playing: false, speed: 1 };
 
   // ============ Match lifecycle ============
 
   function startMatch(config) {
     stop(); // ensure previous stopped
-    lastMatchConfig = config;
-
-    // Clear state (keep walls)
-    physics.clear();
-    fighters = [];
-    corpses = [];
-    projectiles = [];
-    effects = [];
-    floaters = [];
-
-    // Spawn fighters
-    const { mode, roster } = config;
-    const n = roster.length;
-    const teams = assignTeams(mode, n);
-    // remember initial teams so we can correctly evaluate team wins later
-    lastMatchTeams = teams.slice();
-    // Use physics.playArea (if present) so spawning happens inside the visual room.
-    const area = physics.playArea ?? { x: 0, y: 0, w: width, h: height };
-    // Compute spawn positions relative to the play area's local coordinates, then translate
-    const localSpawns = computeSpawnPoints(mode, teams, n, area.w, area.h);
-
-    for (let i = 0; i < n; i++) {
-      const team = teams[i];
-      const local = localSpawns[i] || { x: area.w / 2, y: area.h / 2 };
-      const pos = { x: local.x + area.x, y: local.y + area.y }; // world coords
-      const isBoss = (mode === "raid" && team === 0 && i === 0);
-      const bossMul = isBoss ? 2.0 : 1.0; // Boss gets extra HP
-      spawnFighter({
-        id: i + 1,
-        team,
-        defKey: roster[i],
-        x: pos.x,
-        y: pos.y,
-        bossMultiplier: bossMul
-      });
-    }
-
-    const arenaCenter = { x: area.x + area.w / 2, y: area.y + area.h / 2 };
-
-    for (const f of fighters) {
-      const dx = arenaCenter.x - f.body.position.x;
-      const dy = arenaCenter.y - f.body.position.y;
-      const baseAngle = Math.atan2(dy, dx);
-      const angle = baseAngle + (Math.random() - 0.5) * 0.7;
-      Matter.Body.setVelocity(f.body, {
-        x: Math.cos(angle) * f.moveSpeed,
-        y: Math.sin(angle) * f.moveSpeed
+    // Pin the seed so replay() reruns the same battle
+    lastMatchConfig = { ...config, seed: config.seed ?? randomSeed() };
+
+    const {
+      mode, roster, teams = null, seed, map = null, hazards = null, movement = "steer", tactics = null, scripts = []
+    } = lastMatchConfig;
+    brains = scripts.map(s => s && createScriptBrain(s.code, { name: s.name, onError: onScriptError }));
+    try {
+      sim = createSimulation({
+        width, height, mode, roster, teams, seed, map, hazards, movement, tactics, brains,
+        events,
+        onStep: () => recorder.capture(sim.getState())
       });
+    } catch (e) {
+      stopBrains(); // the match can't be set up (e.g. an army too big for the arena)
+      throw e;
     }
+    recorder = createRecorder(sim.getState(), { roster, map });
+    setPaused(false);
+    clearInspection();
 
     lastTime = performance.now();
     running = true;
@@ -305,207 +141,267 @@ export function createGame({ canvas, options = {}, callbacks = {} }) {
       rafId = null;
     }
     running = false;
+    stopBrains();
+    playback.recording = null;
+    playback.playing = false;
+    setPaused(false);
+  }
+
+  function stopBrains() {
+    for (const brain of brains) brain?.terminate();
+    brains = [];
+  }
+
+  function measureCanvas() {
+    const dpr = window.devicePixelRatio || 1;
+    width = Math.floor(canvas.width / dpr);
+    height = Math.floor(canvas.height / dpr);
+  }
+
+  /**
+   * Pick up a new canvas size (call after resizing the canvas backing store).
+   * A live match rebuilds its arena and moves everything into it; otherwise the
+   * current frame is just redrawn at the new size.
+   */
+  function resize() {
+    measureCanvas();
+    if (playback.recording) {
+      renderPlayback();
+    } else if (sim) {
+      sim.resize(width, height);
+      render(sim.getState());
+    }
   }
 
   function loop(now) {
     if (!running) return;
-    const dt = Math.min(32, now - lastTime); // clamp dt
+    const frameMs = now - lastTime;
+    const dt = Math.min(MAX_FRAME_MS, frameMs); // clamp dt
     lastTime = now;
 
-    // Update world
-    thinkAndAct(now, dt);
-    physicsStep(physics.engine, dt, timeScale.value);
-    postStep(now, dt);
+    // Update world: timescale only changes how much sim time this frame covers,
+    // i.e. how many fixed steps run. The steps themselves are always identical.
+    const simStart = performance.now();
+    const steps = paused ? 0 : sim.tick(dt * timeScale.value);
+    const simEnd = performance.now();
+    const state = sim.getState();
 
     // Render
-    render(now, dt);
+    render(state);
+    updateInspector();
+    trackPerf(frameMs, simEnd - simStart, performance.now() - simEnd, steps);
 
     // Win check
-    const winner = evaluateWin();
-    if (winner) {
+    if (sim.isOver()) {
       running = false;
-      onWin(winner);
+      stopBrains();
+      lastRecording = recorder.finish(state.winner);
+      onWin(state.winner, {
+        winner: state.winner,
+        seed: state.seed,
+        mode: lastMatchConfig.mode,
+        roster: lastMatchConfig.roster.slice(),
+        time: state.time,
+        kills: state.kills
+      });
       return;
     }
 
     rafId = requestAnimationFrame(loop);
   }
 
-  function thinkAndAct(now, dt) {
-    // Steering + attacks per fighter
-    for (const f of fighters) {
-      const enemy = getNearestEnemy(f, fighters);
-      if (!enemy) continue;
-
-      // Attack intents by type
-      if (f.def.type === "melee") {
-        if (now - f.lastAttackAt >= (f.def.attackCooldown ?? 800)) {
-          if (isInMeleeRange(f, enemy)) {
-            f.lastAttackAt = now;
-            const dmg = Math.round(f.def.attackPower);
-            const hitPoint = midpoint(f.body.position, enemy.body.position);
-            dealDamage(enemy, dmg, hitPoint, "#fca5a5");
-
-            // Knockback both a bit
-            applyRadialForce(enemy.body, f.body.position, f.def.knockback ?? 0.012);
-            applyRadialForce(f.body, enemy.body.position, (f.def.knockback ?? 0.012) * 0.5);
-          }
-        }
-      } else if (f.def.type === "ranged") {
-        if (now - f.lastAttackAt >= (f.def.attackCooldown ?? 900)) {
-          if (isInRangedRange(f, enemy)) {
-            f.lastAttackAt = now;
-            fireProjectile(f, enemy.body.position);
-          }
-        }
-      } else if (f.def.type === "aoe") {
-        if (now - f.lastAttackAt >= (f.def.attackCooldown ?? 1400)) {
-          f.lastAttackAt = now;
-          // Burst damages enemies in radius
-          const R = f.def.aoeRadius ?? 90;
-          const K = f.def.aoeForce ?? 0.02;
-          addAoeRing(f.body.position.x, f.body.position.y, R, f.def.color);
-          for (const t of fighters) {
-            if (t.team === f.team || t.id === f.id || t.hp <= 0) continue;
-            const d = distance(f.body.position, t.body.position);
-            if (d <= R + (t.def.radius ?? 16)) {
-              const dmg = Math.round(f.def.attackPower);
-              dealDamage(t, dmg, t.body.position, "#a78bfa");
-              applyRadialForce(t.body, f.body.position, K);
-            }
-          }
-        }
-      } else if (f.def.type === "support") {
-        if (now - f.lastAttackAt >= (f.def.attackCooldown ?? 1200)) {
-          f.lastAttackAt = now;
-          // Heal nearest low HP ally in range
-          // Reuse enemy var for positioning; healing logic is simple: closest ally in range
-          let best = null;
-          let bestRatio = 1.01;
-          const R = f.def.range ?? 180;
-          for (const a of fighters) {
-            if (a.team !== f.team || a.id === f.id || a.hp <= 0) continue;
-            const r = a.hp / a.maxHp;
-            if (r >= 1) continue;
-            const d = distance(f.body.position, a.body.position);
-            if (d > R) continue;
-            if (r < bestRatio) {
-              best = a;
-              bestRatio = r;
-            }
-          }
-          if (best) {
-            applyHeal(best, Math.round(f.def.healAmount ?? 10), best.body.position);
-            // Small push away from nearest enemy if close
-            if (enemy && distance(f.body.position, enemy.body.position) < (f.def.range ?? 160) * 0.7) {
-              applyRadialForce(f.body, enemy.body.position, (f.def.knockback ?? 0.006));
-            }
-          }
-        }
-      }
-    }
+  // ============ Pause, single-step, inspection ============
+
+  function setPaused(value) {
+    const next = !!value;
+    if (next === paused) return;
+    paused = next;
+    onPauseChange(paused);
   }
 
-  function postStep(now, dt) {
-    // Cull old projectiles
-    for (let i = projectiles.length - 1; i >= 0; i--) {
-      const p = projectiles[i];
-      if (now - p.bornAt > p.lifeMs) {
-        removeProjectile(p);
-      }
+  function togglePause() {
+    if (playback.recording) {
+      togglePlayback();
+      return;
     }
+    if (!running || !sim) return;
+    setPaused(!paused);
+  }
 
-    for (const f of fighters) {
-      setConstantSpeed(f.body, f.moveSpeed);
+  // Advance exactly one fixed step; pauses first so the step can be examined
+  function stepOnce() {
+    if (playback.recording) {
+      stepPlayback(1);
+      return;
     }
+    if (!running || !sim) return;
+    setPaused(true);
+    sim.step();
+  }
 
-    for (const p of projectiles) {
-      setConstantSpeed(p.body, p.moveSpeed);
+  // Pick the fighter under a canvas point (CSS px). Returns its details or null.
+  function inspectAt(x, y) {
+    if (!sim || playback.recording) return null;
+    const id = sim.fighterAt(x, y);
+    if (id == null) {
+      clearInspection();
+      return null;
     }
+    inspectedId = id;
+    inspectedAt = -1;
+    updateInspector();
+    if (!running) render(sim.getState());
+    return sim.inspectFighter(id);
+  }
 
-    // Animate floaters/effects
-    for (let i = floaters.length - 1; i >= 0; i--) {
-      const ft = floaters[i];
-      ft.age += dt;
-      ft.y += ft.vy * dt;
-      if (ft.age >= ft.duration) {
-        floaters.splice(i, 1);
-      }
-    }
-    for (let i = effects.length - 1; i >= 0; i--) {
-      const e = effects[i];
-      e.age += dt;
-      if (e.age >= e.duration) effects.splice(i, 1);
-    }
+  function clearInspection() {
+    if (inspectedId == null) return;
+    inspectedId = null;
+    onInspect(null);
+  }
+
+  // Push fresh details whenever the clock has moved (or a new fighter was picked)
+  function updateInspector() {
+    if (inspectedId == null || !sim) return;
+    if (sim.getTime() === inspectedAt) return;
+    inspectedAt = sim.getTime();
+    onInspect(sim.inspectFighter(inspectedId));
   }
 
-  function evaluateWin() {
-    const aliveCount = fighters.length;
-    if (aliveCount === 0) return "No winners";
+  // ============ Recording playback ============
 
-    // If only one fighter alive -> that fighter wins (covers FFA and 1v1 cases)
-    if (aliveCount === 1) {
-      const winner = fighters[0];
-      return `${winner.name} wins!`;
-    }
+  function playRecording(recording) {
+    stop();
+    playback.recording = recording;
+    playback.position = 0;
+    playback.playing = true;
+
+    lastTime = performance.now();
+    running = true;
+    playbackLoop(lastTime);
+  }
 
-    // More than one alive: check team elimination
-    const aliveTeams = new Set(fighters.map(f => f.team));
+  function playbackLoop(now) {
+    if (!running || !playback.recording) return;
+    const dt = Math.min(MAX_FRAME_MS, now - lastTime);
+    lastTime = now;
 
-    // If all alive fighters belong to the same team, and the match started with multiple teams,
-    // declare that team the winner (e.g., team vs team modes).
-    if (aliveTeams.size === 1) {
-      const team = [...aliveTeams][0];
-      const remaining = aliveCount;
-      const originalTeams = new Set(lastMatchTeams ?? []);
-      if (originalTeams.size > 1) {
-        return `Team ${team + 1} wins (${remaining} alive)`;
-      }
-      // If originalTeams.size <= 1, fall through (no valid multi-team elimination)
+    const rec = playback.recording;
+    const last = rec.frames.length - 1;
+    if (playback.playing) {
+      playback.position = Math.min(last, playback.position + (dt * playback.speed) / rec.stepMs);
+      if (playback.position >= last) playback.playing = false;
     }
 
-    // Otherwise no winner yet
-    return null;
+    renderPlayback();
+    rafId = requestAnimationFrame(playbackLoop);
+  }
+
+  function renderPlayback() {
+    const rec = playback.recording;
+    if (!rec) return;
+    // Draw frame ceil(position), interpolated from the frame before it
+    const i = Math.ceil(playback.position);
+    const alpha = i === 0 ? 1 : 1 - (i - playback.position);
+    render(decodeFrame(rec, i, alpha));
+    onPlaybackUpdate(getPlaybackInfo());
+  }
+
+  function getPlaybackInfo() {
+    const rec = playback.recording;
+    if (!rec) return null;
+    return {
+      frame: Math.round(playback.position),
+      frames: rec.frames.length,
+      time: playback.position * rec.stepMs,
+      duration: (rec.frames.length - 1) * rec.stepMs,
+      playing: playback.playing,
+      speed: playback.speed
+    };
+  }
+
+  function seekPlayback(frame) {
+    const rec = playback.recording;
+    if (!rec) return;
+    playback.position = Math.max(0, Math.min(rec.frames.length - 1, Math.round(Number(frame) || 0)));
+    renderPlayback();
+  }
+
+  function togglePlayback() {
+    const rec = playback.recording;
+    if (!rec) return;
+    // Restart from the beginning when play is pressed at the end
+    if (!playback.playing && playback.position >= rec.frames.length - 1) playback.position = 0;
+    playback.playing = !playback.playing;
+    renderPlayback();
+  }
+
+  function stepPlayback(delta = 1) {
+    if (!playback.recording) return;
+    playback.playing = false;
+    seekPlayback(Math.round(playback.position) + delta);
   }
 
   // ============ Rendering ============
 
-  function render(now, dt) {
+  function render(state) {
+    const a = state.alpha ?? 1;
     // Clear
     ctx.clearRect(0, 0, width, height);
 
-    // Background grid
-    drawBackground(ctx, width, height);
+    // Background grid + map
+    drawBackground(ctx, width, height, state.playArea, state);
+    if (state.hazards) drawHazards(ctx, state.hazards, state.time);
 
     // Corpses (faint)
-    for (const f of corpses) {
-      const pos = f.body.position;
-      drawBall(ctx, pos.x, pos.y, f.def.radius ?? 16, f.def.color, 0.25);
+    for (const f of state.corpses) {
+      drawBall(ctx, f.x, f.y, f.radius, f.color, 0.25);
     }
 
+    for (const m of state.mines ?? []) drawMine(ctx, m, state.time);
+
     // Projectiles
-    for (const p of projectiles) {
-      const pos = p.body.position;
+    for (const p of state.projectiles) {
+      const pos = lerpPos(p, a);
       ctx.save();
       ctx.globalAlpha = 0.9;
       ctx.fillStyle = p.color;
-      ctx.beginPath();
-      ctx.arc(pos.x, pos.y, p.radius, 0, Math.PI * 2);
-      ctx.fill();
+      ctx.strokeStyle = p.color;
+      if (p.kind === "boomerang") drawBoomerang(ctx, pos.x, pos.y, p.radius, state.time);
+      else if (p.kind === "missile") drawMissile(ctx, pos, p);
+      else {
+        ctx.beginPath();
+        ctx.arc(pos.x, pos.y, p.radius, 0, Math.PI * 2);
+        ctx.fill();
+      }
       ctx.restore();
     }
 
+    for (const b of state.beams ?? []) drawBeam(ctx, b);
+
     // Fighters + HP bars
-    for (const f of fighters) {
-      const pos = f.body.position;
-      drawBall(ctx, pos.x, pos.y, f.def.radius ?? 16, f.def.color, 1.0);
-      if (showHPBars.value) {
-        drawHpBar(ctx, pos.x, pos.y - (f.def.radius ?? 16) - 12, 36, 5, f.hp / f.maxHp);
+    const crowded = state.fighters.length + state.corpses.length > CROWD_SIZE;
+    for (const f of state.fighters) {
+      const pos = lerpPos(f, a);
+      drawBall(ctx, pos.x, pos.y, f.radius, f.color, 1.0);
+      if (f.statuses?.length) drawStatuses(ctx, pos.x, pos.y, f.radius, f.statuses, state.time);
+      if (f.id === inspectedId && !playback.recording) drawSelection(ctx, pos.x, pos.y, f.radius);
+      if (!showHPBars.value) continue;
+      if (!crowded) {
+        drawHpBar(ctx, pos.x, pos.y - f.radius - 12, 36, 5, f.hp / f.maxHp);
+      } else if (f.hp < f.maxHp) {
+        drawThinHpBar(ctx, pos.x, pos.y - f.radius - 5, f.radius * 1.6, f.hp / f.maxHp);
       }
     }
 
+    // Orbiting blades
+    for (const b of state.blades ?? []) {
+      const pos = lerpPos(b, a);
+      drawBlade(ctx, pos.x, pos.y, b.radius, b.color, Math.atan2(pos.y - b.prevY, pos.x - b.prevX));
+    }
+
     // Effects (rings)
-    for (const e of effects) {
+    for (const e of state.effects) {
       if (e.type === "ring") {
         const t = e.age / e.duration;
         const alpha = 1 - t;
@@ -520,8 +416,18 @@ export function createGame({ canvas, options = {}, callbacks = {} }) {
       }
     }
 
+    // Debug overlay (live matches only; recordings don't carry bodies or AI decisions)
+    if (showDebug.value && sim && !playback.recording) {
+      drawDebug(ctx, sim.getDebugState());
+    }
+
+    if (crowded && showHPBars.value) drawTeamTotals(ctx, state);
+    drawKillFeed(ctx, state);
+    if (showPerf.value && sim && !playback.recording) drawPerfHud(ctx, state);
+
     // Floaters
-    for (const ft of floaters) {
+    if (!showDamage.value) return;
+    for (const ft of state.floaters) {
       const alpha = 1 - (ft.age / ft.duration);
       ctx.save();
       ctx.globalAlpha = Math.max(0, alpha);
@@ -533,13 +439,262 @@ export function createGame({ canvas, options = {}, callbacks = {} }) {
     }
   }
 
-  function drawBackground(ctx, w, h) {
+  function trackPerf(frameMs, simMs, renderMs, steps) {
+    const k = PERF_SMOOTHING;
+    perf.frameMs += (frameMs - perf.frameMs) * k;
+    perf.simMs += (simMs - perf.simMs) * k;
+    perf.renderMs += (renderMs - perf.renderMs) * k;
+    perf.steps += (steps - perf.steps) * k;
+  }
+
+  // Frame timings and entity counts, bottom-left of the arena. Render time is the
+  // previous frame's, since this is drawn while the current frame renders.
+  function drawPerfHud(ctx, state) {
+    const fps = perf.frameMs > 0 ? 1000 / perf.frameMs : 0;
+    const lines = [
+      `${fps.toFixed(0)} fps  frame ${perf.frameMs.toFixed(1)} ms`,
+      `sim ${perf.simMs.toFixed(2)} ms (${perf.steps.toFixed(1)} steps)  render ${perf.renderMs.toFixed(2)} ms`,
+      `${state.fighters.length} fighters  ${state.projectiles.length} projectiles`
+    ];
+    const area = state.playArea ?? { x: 0, y: 0, w: width, h: height };
+    const x = area.x + 10;
+    let y = area.y + area.h - 10 - (lines.length - 1) * 14;
+
+    ctx.save();
+    ctx.font = "11px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace";
+    ctx.textBaseline = "middle";
+    const w = Math.max(...lines.map(l => ctx.measureText(l).width)) + 12;
+    ctx.fillStyle = "rgba(15, 23, 42, 0.75)";
+    ctx.fillRect(x - 6, y - 10, w, lines.length * 14 + 6);
+    ctx.fillStyle = perf.frameMs > 20 ? "#fca5a5" : "#a7f3d0";
+    for (const line of lines) {
+      ctx.fillText(line, x, y);
+      y += 14;
+    }
+    ctx.restore();
+  }
+
+  // Dashed ring around the inspected fighter
+  function drawSelection(ctx, x, y, r) {
+    ctx.save();
+    ctx.strokeStyle = "#f2b84b";
+    ctx.lineWidth = 2;
+    ctx.setLineDash([5, 4]);
+    ctx.beginPath();
+    ctx.arc(x, y, r + 6, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  // Physics/AI layer: body outlines, velocities, ranges, target and heal links, steering
+  // points, cooldowns
+  function drawDebug(ctx, dbg) {
+    const byId = new Map(dbg.fighters.map(f => [f.id, f]));
+    ctx.save();
+    ctx.lineWidth = 1;
+
+    // Matter bodies (walls in amber, dynamic bodies in cyan)
+    for (const b of dbg.bodies) {
+      if (b.vertices.length === 0) continue;
+      ctx.strokeStyle = b.isStatic ? "rgba(242, 184, 75, 0.85)" : "rgba(94, 234, 212, 0.7)";
+      ctx.beginPath();
+      ctx.moveTo(b.vertices[0].x, b.vertices[0].y);
+      for (let i = 1; i < b.vertices.length; i++) ctx.lineTo(b.vertices[i].x, b.vertices[i].y);
+      ctx.closePath();
+      ctx.stroke();
+      if (b.isStatic && b.label) {
+        const c = centroid(b.vertices);
+        ctx.fillStyle = "rgba(242, 184, 75, 0.85)";
+        ctx.font = "10px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace";
+        ctx.textAlign = "center";
+        ctx.fillText(b.label, clamp(c.x, 30, width - 30), clamp(c.y, 12, height - 6));
+      }
+    }
+
+    for (const f of dbg.fighters) {
+      // Attack reach / AoE radius
+      const reach = f.aoeRadius ?? f.reach;
+      if (reach) {
+        ctx.strokeStyle = f.color;
+        ctx.globalAlpha = 0.35;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.arc(f.x, f.y, reach, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.globalAlpha = 1;
+      }
+
+      // Target line (chosen enemy)
+      const target = byId.get(f.targetId);
+      if (target) {
+        ctx.strokeStyle = "rgba(248, 113, 113, 0.55)";
+        drawLine(ctx, f.x, f.y, target.x, target.y);
+      }
+
+      // Heal link
+      const healed = byId.get(f.healTargetId);
+      if (healed) {
+        ctx.strokeStyle = "rgba(134, 239, 172, 0.9)";
+        ctx.setLineDash([2, 3]);
+        ctx.lineWidth = 2;
+        drawLine(ctx, f.x, f.y, healed.x, healed.y);
+        ctx.setLineDash([]);
+        ctx.lineWidth = 1;
+      }
+
+      // Steering point the AI is heading for
+      if (f.movePoint) {
+        ctx.strokeStyle = "rgba(250, 204, 21, 0.6)";
+        ctx.setLineDash([6, 4]);
+        drawLine(ctx, f.x, f.y, f.movePoint.x, f.movePoint.y);
+        ctx.setLineDash([]);
+        drawLine(ctx, f.movePoint.x - 4, f.movePoint.y - 4, f.movePoint.x + 4, f.movePoint.y + 4);
+        drawLine(ctx, f.movePoint.x - 4, f.movePoint.y + 4, f.movePoint.x + 4, f.movePoint.y - 4);
+      }
+
+      // Velocity vector (scaled so cruise speed reads as a few radii)
+      ctx.strokeStyle = "#e2e8f0";
+      drawLine(ctx, f.x, f.y, f.x + f.vx * 6, f.y + f.vy * 6);
+
+      // Cooldown ring: fills clockwise until the next attack is ready
+      ctx.strokeStyle = f.cooldownProgress >= 1 ? "rgba(134, 239, 172, 0.9)" : "rgba(148, 163, 184, 0.9)";
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(f.x, f.y, f.radius + 4, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * f.cooldownProgress);
+      ctx.stroke();
+      ctx.lineWidth = 1;
+    }
+    ctx.restore();
+  }
+
+  function drawLine(ctx, x1, y1, x2, y2) {
+    ctx.beginPath();
+    ctx.moveTo(x1, y1);
+    ctx.lineTo(x2, y2);
+    ctx.stroke();
+  }
+
+  function centroid(vertices) {
+    let x = 0;
+    let y = 0;
+    for (const v of vertices) {
+      x += v.x;
+      y += v.y;
+    }
+    return { x: x / vertices.length, y: y / vertices.length };
+  }
+
+  function clamp(v, lo, hi) {
+    return Math.max(lo, Math.min(hi, v));
+  }
+
+  // Recent kills in the top-right corner of the play area, newest on top
+  function drawKillFeed(ctx, state) {
+    const recent = (state.kills ?? [])
+      .filter(k => state.time - k.time < KILL_FEED_MS)
+      .slice(-KILL_FEED_SIZE)
+      .reverse();
+    if (recent.length === 0) return;
+
+    const area = state.playArea ?? { x: 0, y: 0, w: width, h: height };
+    const right = area.x + area.w - 16;
+    let y = area.y + 18;
+
+    ctx.save();
+    ctx.font = "bold 12px ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Arial";
+    ctx.textBaseline = "middle";
+    for (const k of recent) {
+      const age = state.time - k.time;
+      // Fade out during the last second
+      ctx.globalAlpha = Math.max(0, Math.min(1, (KILL_FEED_MS - age) / 1000));
+
+      const parts = [
+        [k.killerName ?? "—", k.killerColor ?? "#cbd5e1"],
+        [" ➜ ", "#cbd5e1"],
+        [k.victimName, k.victimColor],
+        [k.cause ? ` (${k.cause})` : "", "#94a3b8"]
+      ];
+      const widths = parts.map(([text]) => ctx.measureText(text).width);
+      const total = widths.reduce((s, w) => s + w, 0);
+
+      ctx.fillStyle = "rgba(8, 10, 14, 0.7)";
+      roundRect(ctx, right - total - 10, y - 10, total + 20, 20, 5, true, false);
+
+      let x = right - total;
+      ctx.textAlign = "left";
+      parts.forEach(([text, color], i) => {
+        ctx.fillStyle = color;
+        ctx.fillText(text, x, y);
+        x += widths[i];
+      });
+      y += 24;
+    }
+    ctx.restore();
+  }
+
+  // One bar per team with its summed HP and alive count, top-left of the play area.
+  // Skipped when there are more teams than colours (a crowded free-for-all).
+  function drawTeamTotals(ctx, state) {
+    const totals = new Map(); // team -> { hp, maxHp, alive, count }
+    for (const f of [...state.fighters, ...state.corpses]) {
+      const t = totals.get(f.team) ?? { hp: 0, maxHp: 0, alive: 0, count: 0 };
+      t.hp += Math.max(0, f.hp);
+      t.maxHp += f.maxHp;
+      t.count++;
+      if (f.hp > 0) t.alive++;
+      totals.set(f.team, t);
+    }
+    if (totals.size > TEAM_COLORS.length) return;
+
+    const area = state.playArea ?? { x: 0, y: 0, w: width, h: height };
+    const x = area.x + 16;
+    let y = area.y + 14;
+    const barW = 160;
+
+    ctx.save();
+    ctx.font = "bold 12px ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Arial";
+    ctx.textBaseline = "middle";
+    ctx.textAlign = "left";
+    for (const team of [...totals.keys()].sort((p, q) => p - q)) {
+      const t = totals.get(team);
+      const color = TEAM_COLORS[team % TEAM_COLORS.length];
+      const ratio = t.maxHp > 0 ? t.hp / t.maxHp : 0;
+      const label = `Team ${team + 1}  ${t.alive}/${t.count} alive  ${Math.round(ratio * 100)}%`;
+      ctx.fillStyle = "rgba(8, 10, 14, 0.7)";
+      roundRect(ctx, x - 6, y - 4, barW + ctx.measureText(label).width + 20, 24, 5, true, false);
+      ctx.fillStyle = "rgba(255, 255, 255, 0.12)";
+      roundRect(ctx, x, y + 3, barW, 10, 3, true, false);
+      ctx.fillStyle = color;
+      roundRect(ctx, x, y + 3, barW * ratio, 10, 3, true, false);
+      ctx.fillText(label, x + barW + 8, y + 8);
+      y += 28;
+    }
+    ctx.restore();
+  }
+
+  // Position between the previous and current fixed step
+  function lerpPos(e, alpha) {
+    if (e.prevX == null) return { x: e.x, y: e.y };
+    return {
+      x: e.prevX + (e.x - e.prevX) * alpha,
+      y: e.prevY + (e.y - e.prevY) * alpha
+    };
+  }
+
+  function drawBackground(ctx, w, h, playArea, map = {}) {
     // Full background
     ctx.save();
     ctx.fillStyle = "#080a12";
     ctx.fillRect(0, 0, w, h);
 
-    const area = physics.playArea ?? { x: 0, y: 0, w: w, h: h };
+    const area = playArea ?? { x: 0, y: 0, w: w, h: h };
+    // Non-rectangular arenas: clip the floor and grid to the real boundary
+    const outline = area.shape && area.shape !== "rect" ? area.outline : null;
+    if (outline) {
+      tracePolygon(ctx, outline);
+      ctx.clip();
+    }
 
     const bg = ctx.createRadialGradient(area.x + area.w * 0.5, area.y + area.h * 0.45, 20, area.x + area.w * 0.5, area.y + area.h * 0.45, Math.max(area.w, area.h) * 0.75);
     bg.addColorStop(0, "#172033");
@@ -564,13 +719,165 @@ export function createGame({ canvas, options = {}, callbacks = {} }) {
       ctx.stroke();
     }
 
-    ctx.lineWidth = 2;
-    ctx.strokeStyle = "rgba(226, 232, 240, 0.18)";
-    ctx.strokeRect(area.x + 1, area.y + 1, area.w - 2, area.h - 2);
+    if (outline) {
+      ctx.lineWidth = 4; // half of it is clipped away, leaving a 2px edge inside
+      ctx.strokeStyle = "rgba(226, 232, 240, 0.18)";
+      tracePolygon(ctx, outline);
+      ctx.stroke();
+
+      // Inner accent line: the outline shrunk toward the centre by about 8px
+      const cx = area.x + area.w / 2;
+      const cy = area.y + area.h / 2;
+      const k = 1 - 8.5 / (Math.min(area.w, area.h) / 2);
+      ctx.lineWidth = 1;
+      ctx.strokeStyle = "rgba(34, 211, 238, 0.18)";
+      tracePolygon(ctx, outline.map(p => ({ x: cx + (p.x - cx) * k, y: cy + (p.y - cy) * k })));
+      ctx.stroke();
+    } else {
+      ctx.lineWidth = 2;
+      ctx.strokeStyle = "rgba(226, 232, 240, 0.18)";
+      ctx.strokeRect(area.x + 1, area.y + 1, area.w - 2, area.h - 2);
+
+      ctx.lineWidth = 1;
+      ctx.strokeStyle = "rgba(34, 211, 238, 0.18)";
+      ctx.strokeRect(area.x + 8.5, area.y + 8.5, area.w - 17, area.h - 17);
+    }
+    // Spawn zones share the floor's clip so they never spill past a round wall
+    drawSpawnZones(ctx, map.spawnZones ?? []);
+    ctx.restore();
+
+    drawObstacles(ctx, map.obstacles ?? []);
+  }
+
+  function tracePolygon(ctx, points) {
+    ctx.beginPath();
+    ctx.moveTo(points[0].x, points[0].y);
+    for (let i = 1; i < points.length; i++) ctx.lineTo(points[i].x, points[i].y);
+    ctx.closePath();
+  }
+
+  // Damage tiles, speed pads, bumpers, and the shaded area outside the safe zone
+  function drawHazards(ctx, hazards, time) {
+    ctx.save();
+    for (const t of hazards.tiles) {
+      const half = t.size / 2;
+      ctx.fillStyle = "rgba(244, 63, 94, 0.16)";
+      ctx.fillRect(t.x - half, t.y - half, t.size, t.size);
+      ctx.strokeStyle = "rgba(244, 63, 94, 0.55)";
+      ctx.lineWidth = 1.5;
+      ctx.strokeRect(t.x - half + 0.75, t.y - half + 0.75, t.size - 1.5, t.size - 1.5);
+      // Diagonal warning stripes
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(t.x - half, t.y - half, t.size, t.size);
+      ctx.clip();
+      ctx.strokeStyle = "rgba(244, 63, 94, 0.22)";
+      ctx.lineWidth = 3;
+      for (let o = -t.size; o < t.size; o += 12) {
+        ctx.beginPath();
+        ctx.moveTo(t.x - half + o, t.y + half);
+        ctx.lineTo(t.x - half + o + t.size, t.y - half);
+        ctx.stroke();
+      }
+      ctx.restore();
+    }
+
+    for (const p of hazards.pads) {
+      ctx.fillStyle = "rgba(74, 222, 128, 0.12)";
+      ctx.strokeStyle = "rgba(74, 222, 128, 0.6)";
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, p.r, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+      // Pulsing inner ring
+      const pulse = (time % 1000) / 1000;
+      ctx.globalAlpha = 1 - pulse;
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, p.r * (0.3 + 0.7 * pulse), 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.globalAlpha = 1;
+    }
+
+    for (const b of hazards.bumpers) {
+      ctx.fillStyle = "#3b2a12";
+      ctx.strokeStyle = "#f59e0b";
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      ctx.arc(b.x, b.y, b.r - 1.5, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+      ctx.fillStyle = "rgba(245, 158, 11, 0.6)";
+      ctx.beginPath();
+      ctx.arc(b.x, b.y, b.r * 0.35, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    const z = hazards.zone;
+    if (z) {
+      ctx.fillStyle = "rgba(249, 115, 22, 0.12)";
+      ctx.beginPath();
+      ctx.rect(0, 0, width, height);
+      ctx.arc(z.x, z.y, Math.max(0, z.r), 0, Math.PI * 2, true);
+      ctx.fill("evenodd");
+      ctx.strokeStyle = "rgba(251, 146, 60, 0.8)";
+      ctx.lineWidth = 2;
+      ctx.setLineDash([10, 6]);
+      ctx.beginPath();
+      ctx.arc(z.x, z.y, Math.max(0, z.r), 0, Math.PI * 2);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
 
+  // Named spawn zones: faint dashed outlines with their names
+  function drawSpawnZones(ctx, zones) {
+    if (zones.length === 0) return;
+    ctx.save();
+    ctx.setLineDash([6, 6]);
     ctx.lineWidth = 1;
-    ctx.strokeStyle = "rgba(34, 211, 238, 0.18)";
-    ctx.strokeRect(area.x + 8.5, area.y + 8.5, area.w - 17, area.h - 17);
+    ctx.strokeStyle = "rgba(148, 163, 184, 0.16)";
+    ctx.fillStyle = "rgba(148, 163, 184, 0.28)";
+    ctx.font = "10px ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Arial";
+    ctx.textAlign = "left";
+    ctx.textBaseline = "top";
+    for (const z of zones) {
+      ctx.strokeRect(z.x + 0.5, z.y + 0.5, z.w - 1, z.h - 1);
+      ctx.fillText(z.name.toUpperCase(), z.x + 5, z.y + 4);
+    }
+    ctx.restore();
+  }
+
+  // Pillars as solid discs; walls and deflectors as round-capped bars
+  function drawObstacles(ctx, obstacles) {
+    ctx.save();
+    for (const o of obstacles) {
+      if (o.shape === "circle") {
+        const g = ctx.createRadialGradient(o.x - o.r * 0.3, o.y - o.r * 0.3, o.r * 0.1, o.x, o.y, o.r);
+        g.addColorStop(0, "#3a4658");
+        g.addColorStop(1, "#1c2330");
+        ctx.fillStyle = g;
+        ctx.beginPath();
+        ctx.arc(o.x, o.y, o.r, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = "rgba(226, 232, 240, 0.28)";
+        ctx.stroke();
+        continue;
+      }
+      const deflector = o.type === "deflector";
+      ctx.lineCap = "round";
+      ctx.lineWidth = o.thickness;
+      ctx.strokeStyle = deflector ? "#1f4a55" : "#2a3342";
+      ctx.beginPath();
+      ctx.moveTo(o.x1, o.y1);
+      ctx.lineTo(o.x2, o.y2);
+      ctx.stroke();
+      // Bright edge line down the middle
+      ctx.lineWidth = 2;
+      ctx.strokeStyle = deflector ? "rgba(34, 211, 238, 0.55)" : "rgba(226, 232, 240, 0.22)";
+      ctx.stroke();
+    }
     ctx.restore();
   }
 
@@ -594,183 +901,173 @@ export function createGame({ canvas, options = {}, callbacks = {} }) {
     ctx.restore();
   }
 
-  function drawHpBar(ctx, x, y, w, h, ratio) {
-    const r = Math.max(0, Math.min(1, ratio));
+  function drawMine(ctx, m, time) {
     ctx.save();
-    ctx.fillStyle = "rgba(0,0,0,0.35)";
-    roundRect(ctx, x - w / 2, y, w, h, 3, true, false);
-    ctx.fillStyle = r > 0.5 ? "#22c55e" : r > 0.25 ? "#f59e0b" : "#ef4444";
-    roundRect(ctx, x - w / 2, y, w * r, h, 3, true, false);
+    ctx.strokeStyle = m.color;
+    ctx.globalAlpha = 0.18;
+    ctx.setLineDash([3, 5]);
+    ctx.beginPath();
+    ctx.arc(m.x, m.y, m.triggerRadius, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.globalAlpha = 0.85;
+    ctx.fillStyle = "#1f2937";
+    ctx.beginPath();
+    ctx.arc(m.x, m.y, 6, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    // Armed mines blink
+    ctx.fillStyle = m.armed && Math.floor(time / 300) % 2 === 0 ? "#ef4444" : m.color;
+    ctx.beginPath();
+    ctx.arc(m.x, m.y, 2.5, 0, Math.PI * 2);
+    ctx.fill();
     ctx.restore();
   }
 
-  function roundRect(ctx, x, y, w, h, r, fill, stroke) {
-    if (w < 2 * r) r = w / 2;
-    if (h < 2 * r) r = h / 2;
+  function drawBoomerang(ctx, x, y, r, time) {
+    ctx.translate(x, y);
+    ctx.rotate(time / 60);
+    ctx.lineWidth = Math.max(2, r * 0.6);
+    ctx.lineCap = "round";
     ctx.beginPath();
-    ctx.moveTo(x + r, y);
-    ctx.arcTo(x + w, y, x + w, y + h, r);
-    ctx.arcTo(x + w, y + h, x, y + h, r);
-    ctx.arcTo(x, y + h, x, y, r);
-    ctx.arcTo(x, y, x + w, y, r);
-    if (fill) ctx.fill();
-    if (stroke) ctx.stroke();
+    ctx.moveTo(-r * 1.3, r * 0.6);
+    ctx.lineTo(0, -r * 0.4);
+    ctx.lineTo(r * 1.3, r * 0.6);
+    ctx.stroke();
   }
 
-  // ============ Teaming and spawns ============
-
-  function isFFA(mode) {
-    return mode === "ffa";
+  // Pointed body along the direction of travel plus a fading exhaust tail
+  function drawMissile(ctx, pos, p) {
+    const angle = Math.atan2(p.y - p.prevY, p.x - p.prevX);
+    ctx.translate(pos.x, pos.y);
+    ctx.rotate(angle);
+    const r = p.radius;
+    ctx.globalAlpha = 0.35;
+    ctx.beginPath();
+    ctx.moveTo(-r, -r * 0.4);
+    ctx.lineTo(-r * 4, 0);
+    ctx.lineTo(-r, r * 0.4);
+    ctx.fill();
+    ctx.globalAlpha = 0.95;
+    ctx.beginPath();
+    ctx.moveTo(r * 1.6, 0);
+    ctx.lineTo(-r, -r * 0.8);
+    ctx.lineTo(-r, r * 0.8);
+    ctx.closePath();
+    ctx.fill();
   }
 
-  function assignTeams(mode, count) {
-    const teams = new Array(count).fill(0);
-
-    if (mode === "ffa") {
-      // each fighter unique team (use separate teams so last-man-standing works)
-      for (let i = 0; i < count; i++) teams[i] = i;
-    } else if (mode === "1v1") {
-      // explicit 1v1: first two fighters opposing teams
-      if (count >= 2) {
-        teams[0] = 0;
-        teams[1] = 1;
-        // any extras (shouldn't happen) alternate
-        for (let i = 2; i < count; i++) teams[i] = i % 2;
-      } else {
-        for (let i = 0; i < count; i++) teams[i] = 0;
-      }
-    } else if (mode === "2v2" || mode === "4v4") {
-      // two teams: alternate assignment
-      for (let i = 0; i < count; i++) teams[i] = i % 2;
-    } else if (mode === "raid") {
-      // first fighter is boss team 0, others team 1
-      if (count > 0) teams[0] = 0;
-      for (let i = 1; i < count; i++) teams[i] = 1;
-    }
-    return teams;
-  }
-
-  function computeSpawnPoints(mode, teams, count, w, h) {
-    const pts = new Array(count);
-
-    // Free-for-all: for small counts prefer corner/quadrant starts, otherwise circle
-    if (mode === "ffa") {
-      const cx = w / 2, cy = h / 2;
-      if (count === 1) {
-        pts[0] = { x: cx, y: cy };
-        return pts;
-      }
-      if (count <= 4) {
-        // corners: TL, TR, BL, BR (in that order)
-        const corners = [
-          { x: w * 0.15, y: h * 0.15 },
-          { x: w * 0.85, y: h * 0.15 },
-          { x: w * 0.15, y: h * 0.85 },
-          { x: w * 0.85, y: h * 0.85 }
-        ];
-        for (let i = 0; i < count; i++) {
-          pts[i] = applyJitter(corners[i], i);
-        }
-        return pts;
-      }
-      // default: circle around center for larger free-for-all
-      const R = Math.min(w, h) * 0.35;
-      for (let i = 0; i < count; i++) {
-        const a = (i / count) * Math.PI * 2;
-        pts[i] = { x: cx + Math.cos(a) * R, y: cy + Math.sin(a) * R };
-      }
-      return pts;
-    }
-
-    // Raid: boss on left, others spread on right area
-    if (mode === "raid") {
-      const bossPos = { x: w * 0.25, y: h * 0.5 };
-      if (count > 0) pts[0] = bossPos;
-      const rest = count - 1;
-      for (let i = 0; i < rest; i++) {
-        const row = Math.floor(i / 3);
-        const col = i % 3;
-        const x = w * 0.62 + (col - 1) * 60;
-        const y = h * 0.35 + row * 80;
-        pts[i + 1] = { x, y };
-      }
-      return pts;
+  function drawBeam(ctx, b) {
+    ctx.save();
+    ctx.strokeStyle = b.color;
+    ctx.lineCap = "round";
+    ctx.globalAlpha = 0.3;
+    ctx.lineWidth = b.width * 2.5;
+    drawLine(ctx, b.x1, b.y1, b.x2, b.y2);
+    ctx.globalAlpha = 0.95;
+    ctx.lineWidth = b.width;
+    drawLine(ctx, b.x1, b.y1, b.x2, b.y2);
+    ctx.strokeStyle = "#fff";
+    ctx.lineWidth = Math.max(1, b.width / 3);
+    drawLine(ctx, b.x1, b.y1, b.x2, b.y2);
+    if (b.hit) {
+      ctx.fillStyle = "#fff";
+      ctx.beginPath();
+      ctx.arc(b.x2, b.y2, b.width, 0, Math.PI * 2);
+      ctx.fill();
     }
+    ctx.restore();
+  }
 
-    // 1v1: put fighters in opposite corners so movement uses both axes
-    if (mode === "1v1") {
-      pts[0] = { x: w * 0.15, y: h * 0.20 }; // top-left
-      pts[1] = { x: w * 0.85, y: h * 0.80 }; // bottom-right
-      return pts;
-    }
+  function drawBlade(ctx, x, y, r, color, angle) {
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.rotate(angle);
+    ctx.fillStyle = color;
+    ctx.strokeStyle = "rgba(255,255,255,0.85)";
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(r * 1.4, 0);
+    ctx.lineTo(0, -r * 0.6);
+    ctx.lineTo(-r * 1.4, 0);
+    ctx.lineTo(0, r * 0.6);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+    ctx.restore();
+  }
 
-    // 2v2: put each team in opposite corners (top/bottom) to encourage 2D movement
-    if (mode === "2v2") {
-      const leftCorners = [{ x: w * 0.15, y: h * 0.2 }, { x: w * 0.15, y: h * 0.8 }];
-      const rightCorners = [{ x: w * 0.85, y: h * 0.2 }, { x: w * 0.85, y: h * 0.8 }];
-      let l = 0, r = 0;
-      for (let i = 0; i < count; i++) {
-        if (teams[i] === 0) pts[i] = leftCorners[l++] || { x: w * 0.2 + (l * 20), y: h * 0.5 };
-        else pts[i] = rightCorners[r++] || { x: w * 0.8 - (r * 20), y: h * 0.5 };
+  function drawStatuses(ctx, x, y, r, statuses, time) {
+    ctx.save();
+    const pips = [];
+    let halos = 0;
+    for (const { effect } of statuses) {
+      const color = STATUS_EFFECTS[effect].color;
+      if (STATUS_EFFECTS[effect].buff) {
+        // Soft wide glow under a crisp ring, one halo further out per buff
+        const hr = r + 4 + halos * 5;
+        halos++;
+        ctx.strokeStyle = color;
+        ctx.globalAlpha = 0.25;
+        ctx.lineWidth = 6;
+        ctx.beginPath();
+        ctx.arc(x, y, hr, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.globalAlpha = 0.85;
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+      } else if (effect === "stun") {
+        ctx.fillStyle = color;
+        for (let i = 0; i < 3; i++) {
+          const angle = time / 250 + (i * Math.PI * 2) / 3;
+          ctx.beginPath();
+          ctx.arc(x + Math.cos(angle) * r * 0.7, y - r - 6 + Math.sin(angle) * 3, 2.5, 0, Math.PI * 2);
+          ctx.fill();
+        }
+      } else {
+        pips.push(color);
       }
-      return pts;
-    }
-
-    // Default team placement: split left/right but stagger rows and add small jitter
-    const team0 = [];
-    const team1 = [];
-    for (let i = 0; i < count; i++) {
-      if (teams[i] === 0) team0.push(i);
-      else team1.push(i);
     }
-
-    // create grids but with adaptive cols/rows based on team size
-    const makeGrid = (cx, cy, n) => {
-      const cols = Math.min(3, Math.max(1, Math.ceil(Math.sqrt(n))));
-      const rows = Math.ceil(n / cols);
-      const dx = Math.min(80, (w * 0.12));
-      const dy = Math.min(90, (h * 0.12));
-      return gridPositions(cx, cy, cols, rows, dx, dy, n);
-    };
-
-    const leftGrid = makeGrid(w * 0.22, h * 0.5, team0.length);
-    const rightGrid = makeGrid(w * 0.78, h * 0.5, team1.length);
-
-    team0.forEach((idx, k) => {
-      const base = leftGrid[k];
-      pts[idx] = applyJitter(base, k);
-    });
-    team1.forEach((idx, k) => {
-      const base = rightGrid[k];
-      pts[idx] = applyJitter(base, k);
+    pips.forEach((color, i) => {
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.arc(x + (i - (pips.length - 1) / 2) * 8, y + r + 7, 3, 0, Math.PI * 2);
+      ctx.fill();
     });
-
-    return pts;
+    ctx.restore();
   }
 
-  // small deterministic jitter so fighters aren't perfectly aligned
-  function applyJitter(pt, seedIndex) {
-    const jitterX = ((seedIndex * 37) % 7) - 3; // -3..3
-    const jitterY = ((seedIndex * 59) % 7) - 3;
-    return { x: pt.x + jitterX * 6, y: pt.y + jitterY * 6 };
+  function drawHpBar(ctx, x, y, w, h, ratio) {
+    const r = Math.max(0, Math.min(1, ratio));
+    ctx.save();
+    ctx.fillStyle = "rgba(0,0,0,0.35)";
+    roundRect(ctx, x - w / 2, y, w, h, 3, true, false);
+    ctx.fillStyle = r > 0.5 ? "#22c55e" : r > 0.25 ? "#f59e0b" : "#ef4444";
+    roundRect(ctx, x - w / 2, y, w * r, h, 3, true, false);
+    ctx.restore();
   }
 
-  function gridPositions(cx, cy, cols, rows, dx, dy, n) {
-    const pts = [];
-    const halfCols = (cols - 1) / 2;
-    const halfRows = (rows - 1) / 2;
-    for (let i = 0; i < n; i++) {
-      const row = Math.floor(i / cols);
-      const col = i % cols;
-      const x = cx + (col - halfCols) * dx;
-      const y = cy + (row - halfRows) * dy;
-      pts.push({ x, y });
-    }
-    return pts;
+  // Compact bar for crowded battles: no frame or rounding, just the remaining HP
+  function drawThinHpBar(ctx, x, y, w, ratio) {
+    const r = Math.max(0, Math.min(1, ratio));
+    ctx.fillStyle = "rgba(0,0,0,0.45)";
+    ctx.fillRect(x - w / 2, y, w, 2);
+    ctx.fillStyle = r > 0.5 ? "#22c55e" : r > 0.25 ? "#f59e0b" : "#ef4444";
+    ctx.fillRect(x - w / 2, y, w * r, 2);
   }
 
-  function midpoint(a, b) {
-    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+  function roundRect(ctx, x, y, w, h, r, fill, stroke) {
+    if (w < 2 * r) r = w / 2;
+    if (h < 2 * r) r = h / 2;
+    ctx.beginPath();
+    ctx.moveTo(x + r, y);
+    ctx.arcTo(x + w, y, x + w, y + h, r);
+    ctx.arcTo(x + w, y + h, x, y + h, r);
+    ctx.arcTo(x, y + h, x, y, r);
+    ctx.arcTo(x, y, x + w, y, r);
+    if (fill) ctx.fill();
+    if (stroke) ctx.stroke();
   }
 
   // ============ Public API ============
@@ -778,13 +1075,44 @@ export function createGame({ canvas, options = {}, callbacks = {} }) {
   return {
     startMatch,
     stop,
+    togglePause,
+    setPaused: (v) => {
+      if (running && sim && !playback.recording) setPaused(v);
+    },
+    isPaused: () => paused,
+    stepOnce,
+    resize,
+    inspectAt,
+    clearInspection,
+    on: events.on,
+    off: events.off,
+    getLastMatchConfig: () => lastMatchConfig && { ...lastMatchConfig },
     setTimeScale: (v) => timeScale.value = Math.max(0.05, Number(v) || 1),
     setOptions: (opts) => {
       if (opts.showHPBars != null) showHPBars.value = !!opts.showHPBars;
       if (opts.showDamage != null) showDamage.value = !!opts.showDamage;
+      if (opts.showDebug != null) showDebug.value = !!opts.showDebug;
+      if (opts.showPerf != null) showPerf.value = !!opts.showPerf;
     },
     replay: () => {
       if (lastMatchConfig) startMatch(lastMatchConfig);
-    }
+    },
+    armyCapacity: (armies, map = null) => armyCapacity({ width, height, armies, map }),
+    // Recording + playback
+    getLastRecording: () => lastRecording,
+    getPlaybackRecording: () => playback.recording,
+    playRecording,
+    playLastRecording: () => {
+      if (lastRecording) playRecording(lastRecording);
+      return !!lastRecording;
+    },
+    togglePlayback,
+    seekPlayback,
+    stepPlayback,
+    setPlaybackSpeed: (v) => {
+      playback.speed = Math.max(0.05, Number(v) || 1);
+      if (playback.recording) renderPlayback();
+    },
+    getPlaybackInfo
   };
 }
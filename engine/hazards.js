@@ -0,0 +1,141 @@
+/**
+ * Optional arena hazards: a shrinking safe zone, damage floor tiles, speed pads and bumpers.
+ * This module holds the settings and the geometry; engine/simulation.js applies the effects
+ * (damage goes through its single damage path).
+ *
+ * Config shape (every hazard is off unless enabled):
+ * {
+ *   zone:        { enabled, delayMs, shrinkMs, minRadius, damagePerSecond },
+ *                  minRadius: final radius as a fraction of the arena's shorter side
+ *   damageTiles: { enabled, count, size, damagePerSecond },      size: fraction of the shorter side
+ *   speedPads:   { enabled, count, radius, multiplier, durationMs },
+ *   bumpers:     { enabled, count, radius, multiplier, durationMs }
+ * }
+ * Speed pads and bumpers both work through a timed speed multiplier on top of the
+ * fighter's constant cruise speed; bumpers also turn the ball straight away from them.
+ */
+
+import { constrainToArena } from "./arena.js";
+import { pushOutOfObstacles } from "./maps.js";
+
+/** Damage from the zone and tiles is applied in ticks of this length (ms). */
+export const HAZARD_TICK_MS = 500;
+
+export const HAZARD_DEFAULTS = {
+  zone: { enabled: false, delayMs: 20000, shrinkMs: 60000, minRadius: 0.12, damagePerSecond: 10 },
+  damageTiles: { enabled: false, count: 4, size: 0.1, damagePerSecond: 16 },
+  speedPads: { enabled: false, count: 3, radius: 0.05, multiplier: 1.8, durationMs: 1500 },
+  bumpers: { enabled: false, count: 3, radius: 0.035, multiplier: 2.2, durationMs: 600 }
+};
+
+// Accepted range per numeric setting; out-of-range values are clamped
+const LIMITS = {
+  delayMs: [0, 600000],
+  shrinkMs: [1000, 600000],
+  minRadius: [0, 0.5],
+  damagePerSecond: [0, 500],
+  count: [0, 12],
+  size: [0.03, 0.3],
+  radius: [0.01, 0.15],
+  multiplier: [1, 5],
+  durationMs: [100, 10000]
+};
+
+/**
+ * Fill in defaults and clamp a (possibly partial) hazard config.
+ */
+export function resolveHazards(config = null) {
+  const out = {};
+  for (const [name, defaults] of Object.entries(HAZARD_DEFAULTS)) {
+    const given = config?.[name] ?? {};
+    const merged = { ...defaults, enabled: !!given.enabled };
+    for (const field of Object.keys(defaults)) {
+      if (field === "enabled") continue;
+      const v = Number(given[field]);
+      if (given[field] == null || !Number.isFinite(v)) continue;
+      const [lo, hi] = LIMITS[field];
+      merged[field] = Math.max(lo, Math.min(hi, field === "count" ? Math.round(v) : v));
+    }
+    out[name] = merged;
+  }
+  return out;
+}
+
+/**
+ * Whether any hazard is switched on.
+ */
+export function anyHazardEnabled(config) {
+  return Object.values(config).some(h => h.enabled);
+}
+
+/**
+ * Place tiles, pads and bumpers inside the play area (world coords), clear of obstacles,
+ * of each other, and of the given spawn points. Uses the supplied rng only.
+ * Returns { tiles: [{ x, y, size }], pads: [{ x, y, r }], bumpers: [{ x, y, r }] }.
+ */
+export function layoutHazards(config, area, obstacles, rng, avoid = []) {
+  const s = Math.min(area.w, area.h);
+  const placed = avoid.map(p => ({ x: p.x, y: p.y, r: 40 }));
+
+  const place = (r) => {
+    let spot = null;
+    for (let attempt = 0; attempt < 30; attempt++) {
+      const raw = {
+        x: area.x + area.w * (0.12 + rng.next() * 0.76),
+        y: area.y + area.h * (0.12 + rng.next() * 0.76)
+      };
+      spot = constrainToArena(pushOutOfObstacles(raw, r, obstacles), r, area);
+      if (placed.every(p => Math.hypot(p.x - spot.x, p.y - spot.y) > p.r + r + 12)) break;
+    }
+    placed.push({ ...spot, r });
+    return spot;
+  };
+
+  const tiles = [];
+  const pads = [];
+  const bumpers = [];
+  if (config.bumpers.enabled) {
+    for (let i = 0; i < config.bumpers.count; i++) {
+      const r = config.bumpers.radius * s;
+      bumpers.push({ ...place(r), r });
+    }
+  }
+  if (config.damageTiles.enabled) {
+    for (let i = 0; i < config.damageTiles.count; i++) {
+      const size = config.damageTiles.size * s;
+      tiles.push({ ...place(size * 0.71), size });
+    }
+  }
+  if (config.speedPads.enabled) {
+    for (let i = 0; i < config.speedPads.count; i++) {
+      const r = config.speedPads.radius * s;
+      pads.push({ ...place(r), r });
+    }
+  }
+  return { tiles, pads, bumpers };
+}
+
+/**
+ * Safe zone circle at a given time, or null when the zone is off.
+ * It starts just outside the arena's corners, waits delayMs, then shrinks linearly
+ * toward the centre over shrinkMs.
+ */
+export function zoneCircle(zone, area, time) {
+  if (!zone.enabled) return null;
+  const start = Math.hypot(area.w, area.h) / 2 + 4;
+  const end = zone.minRadius * Math.min(area.w, area.h);
+  const t = Math.max(0, Math.min(1, (time - zone.delayMs) / zone.shrinkMs));
+  return {
+    x: area.x + area.w / 2,
+    y: area.y + area.h / 2,
+    r: start + (end - start) * t
+  };
+}
+
+/**
+ * Whether a point lies on a damage tile (tiles are axis-aligned squares).
+ */
+export function onTile(point, tile) {
+  const half = tile.size / 2;
+  return Math.abs(point.x - tile.x) <= half && Math.abs(point.y - tile.y) <= half;
+}
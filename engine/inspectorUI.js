@@ -0,0 +1,72 @@
+/**
+ * Fighter inspector panel for debugging paused battles.
+ *
+ * Usage:
+ *   import { initInspectorUI } from "./engine/inspectorUI.js";
+ *   const inspector = initInspectorUI({ onClose });
+ *   inspector.show(details); // details from game.inspectAt() / onInspect
+ */
+
+export function initInspectorUI({ onClose = () => {} } = {}) {
+  const panelEl = document.getElementById("inspector");
+  const titleEl = document.getElementById("inspectorTitle");
+  const rowsEl = document.getElementById("inspectorRows");
+  const defEl = document.getElementById("inspectorDef");
+  const closeBtn = document.getElementById("inspectorCloseBtn");
+
+  function show(d) {
+    if (!d) {
+      hide();
+      return;
+    }
+    panelEl.hidden = false;
+    titleEl.textContent = `#${d.id} ${d.name}`;
+    titleEl.style.borderColor = d.def.color;
+
+    const rows = [
+      ["Team", d.team + 1],
+      ["HP", `${d.hp} / ${d.maxHp}${d.alive ? "" : " (dead)"}`],
+      ["Sim time", ms(d.time)],
+      ["Last attack", d.lastAttackAt > 0 ? ms(d.lastAttackAt) : "never"],
+      ["Cooldown", `${ms(d.cooldownRemaining)} of ${ms(d.cooldown)}`],
+      ["Position", `${d.position.x.toFixed(1)}, ${d.position.y.toFixed(1)}`],
+      ["Velocity", `${d.velocity.x.toFixed(2)}, ${d.velocity.y.toFixed(2)}`],
+      ["Speed", `${d.speed.toFixed(2)} (cruise ${d.moveSpeed})`],
+      ["Target", d.target ? `#${d.target.id} ${d.target.name} @ ${d.target.distance.toFixed(0)}px` : "none"],
+      ["Targeting", d.tactic && d.tactic !== "none" ? `${d.strategy}, team ${d.tactic}` : d.strategy],
+      ["Brain", d.brain ? `script "${d.brain}"` : "built-in"],
+      ["Last hit by", d.lastHit ? `#${d.lastHit.attackerId ?? "?"} (${d.lastHit.cause ?? "?"}) at ${ms(d.lastHit.time)}` : "—"],
+      ["Status", d.statuses.length > 0 ? d.statuses.map(statusText).join(", ") : "none"]
+    ];
+
+    rowsEl.innerHTML = "";
+    for (const [label, value] of rows) {
+      const dt = document.createElement("dt");
+      dt.textContent = label;
+      const dd = document.createElement("dd");
+      dd.textContent = String(value);
+      rowsEl.appendChild(dt);
+      rowsEl.appendChild(dd);
+    }
+    defEl.textContent = JSON.stringify(d.def, null, 2);
+  }
+
+  function hide() {
+    panelEl.hidden = true;
+  }
+
+  // e.g. "poison x3 (7) 1800ms": stacks and summed value where they mean something
+  function statusText(s) {
+    const stacks = s.stacks > 1 ? ` x${s.stacks}` : "";
+    const value = s.effect === "stun" ? "" : ` (${+s.value.toFixed(2)})`;
+    return `${s.effect}${stacks}${value} ${ms(s.remainingMs)}`;
+  }
+
+  function ms(v) {
+    return `${Math.round(v)}ms`;
+  }
+
+  closeBtn.addEventListener("click", () => onClose());
+
+  return { show, hide };
+}
@@ -0,0 +1,182 @@
+/**
+ * Balance Lab panel: batch matchup settings, progress, and the results heatmap.
+ *
+ * Usage:
+ *   import { initLabUI } from "./engine/labUI.js";
+ *   const lab = initLabUI({ onRunWeapons, onRunCompositions, onCancel, onExport });
+ */
+
+import { normalizeSeed } from "./random.js";
+
+const METRICS = {
+  winRate: {
+    format: (c) => `${Math.round(c.winRate * 100)}%`,
+    heat: (c) => c.winRate
+  },
+  avgDurationMs: {
+    format: (c) => `${(c.avgDurationMs / 1000).toFixed(0)}s`,
+    heat: null // duration is neutral, shaded relative to the table
+  },
+  avgRemainingHp: {
+    format: (c) => c.avgRemainingHp.toFixed(0),
+    heat: null
+  }
+};
+
+export function initLabUI({
+  onRunWeapons = () => {},
+  onRunCompositions = () => {},
+  onCancel = () => {},
+  onExport = () => {}
+} = {}) {
+  const matchesEl = document.getElementById("labMatches");
+  const seedEl = document.getElementById("labSeed");
+  const compsEl = document.getElementById("labComps");
+  const metricEl = document.getElementById("labMetric");
+  const runWeaponsBtn = document.getElementById("labRunWeaponsBtn");
+  const runCompsBtn = document.getElementById("labRunCompsBtn");
+  const cancelBtn = document.getElementById("labCancelBtn");
+  const statusEl = document.getElementById("labStatus");
+  const resultsEl = document.getElementById("labResults");
+  const exportCsvBtn = document.getElementById("labExportCsvBtn");
+  const exportJsonBtn = document.getElementById("labExportJsonBtn");
+
+  let lastResult = null;
+
+  function getSettings() {
+    const matches = Math.max(1, Math.min(1000, parseInt(matchesEl.value, 10) || 10));
+    const rawSeed = seedEl.value.trim();
+    return {
+      matchesPerPair: matches,
+      seed: rawSeed ? normalizeSeed(rawSeed) : 1
+    };
+  }
+
+  // One composition per line; weapon keys separated by commas or "+"
+  function getCompositions() {
+    return compsEl.value
+      .split("\n")
+      .map(line => line.split(/[,+]/).map(k => k.trim().toLowerCase()).filter(Boolean))
+      .filter(roster => roster.length > 0)
+      .map(roster => ({ roster }));
+  }
+
+  function setRunning(running) {
+    runWeaponsBtn.disabled = running;
+    runCompsBtn.disabled = running;
+    cancelBtn.hidden = !running;
+    if (running) {
+      exportCsvBtn.disabled = true;
+      exportJsonBtn.disabled = true;
+    } else {
+      exportCsvBtn.disabled = !lastResult;
+      exportJsonBtn.disabled = !lastResult;
+    }
+  }
+
+  function setStatus(text) {
+    statusEl.textContent = text;
+  }
+
+  function setProgress({ done, total }) {
+    setStatus(`${done}/${total}`);
+  }
+
+  function showResult(result) {
+    lastResult = result;
+    setStatus(result ? `${result.matchesPerPair}/pair` : "");
+    renderTable();
+    setRunning(false);
+  }
+
+  function renderTable() {
+    resultsEl.innerHTML = "";
+    if (!lastResult) return;
+
+    const metric = METRICS[metricEl.value] ?? METRICS.winRate;
+    const { labels, cells } = lastResult;
+
+    // Shade non-win-rate metrics relative to the table's own range
+    const values = cells.flat().filter(Boolean).map(c => c[metricEl.value] ?? c.winRate);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const heatOf = (c) => metric.heat ? metric.heat(c) : (max > min ? (c[metricEl.value] - min) / (max - min) : 0.5);
+
+    const table = document.createElement("table");
+    table.className = "lab-table";
+
+    const head = document.createElement("tr");
+    head.appendChild(document.createElement("th"));
+    for (const col of labels) {
+      const th = document.createElement("th");
+      th.appendChild(labelChip(col));
+      head.appendChild(th);
+    }
+    table.appendChild(head);
+
+    labels.forEach((row, i) => {
+      const tr = document.createElement("tr");
+      const th = document.createElement("th");
+      th.appendChild(labelChip(row));
+      tr.appendChild(th);
+      labels.forEach((col, j) => {
+        const td = document.createElement("td");
+        const c = cells[i][j];
+        if (!c) {
+          td.className = "lab-self";
+        } else {
+          td.textContent = metric.format(c);
+          td.style.background = heatColor(heatOf(c));
+          td.title = `${row.name} vs ${col.name}\n` +
+            `W ${c.wins} / L ${c.losses} / D ${c.draws} of ${c.matches}\n` +
+            `Avg duration ${(c.avgDurationMs / 1000).toFixed(1)}s\n` +
+            `Avg HP left ${c.avgRemainingHp.toFixed(1)}`;
+        }
+        tr.appendChild(td);
+      });
+      table.appendChild(tr);
+    });
+
+    resultsEl.appendChild(table);
+  }
+
+  function labelChip(label) {
+    const span = document.createElement("span");
+    span.className = "lab-label";
+    span.title = label.name;
+    span.textContent = shortName(label.name);
+    if (label.color) span.style.borderColor = label.color;
+    return span;
+  }
+
+  function shortName(name) {
+    return name.length > 6 ? name.slice(0, 5) + "…" : name;
+  }
+
+  // 0 -> red, 0.5 -> neutral, 1 -> green
+  function heatColor(t) {
+    const v = Math.max(0, Math.min(1, t));
+    const hue = v * 130;
+    const alpha = 0.18 + Math.abs(v - 0.5) * 0.6;
+    return `hsla(${hue}, 70%, 45%, ${alpha.toFixed(2)})`;
+  }
+
+  function attachControls() {
+    runWeaponsBtn.addEventListener("click", () => onRunWeapons(getSettings()));
+    runCompsBtn.addEventListener("click", () => onRunCompositions({ ...getSettings(), compositions: getCompositions() }));
+    cancelBtn.addEventListener("click", () => onCancel());
+    metricEl.addEventListener("change", renderTable);
+    exportCsvBtn.addEventListener("click", () => lastResult && onExport(lastResult, "csv"));
+    exportJsonBtn.addEventListener("click", () => lastResult && onExport(lastResult, "json"));
+  }
+
+  attachControls();
+  setRunning(false);
+
+  return {
+    setRunning,
+    setStatus,
+    setProgress,
+    showResult
+  };
+}
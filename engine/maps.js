@@ -0,0 +1,368 @@
+/**
+ * Arena maps (data-driven, JSON-compatible).
+ * A map describes the arena plus static obstacles and named spawn zones. Positions are
+ * fractions (0..1) of the play area so a map fits any canvas size and survives resizes.
+ *
+ * Map shape:
+ * {
+ *   key: "pillars",                 // unique id (derived from name if omitted)
+ *   name: "Pillars",
+ *   description: "...",             // optional
+ *   arena: {                        // optional
+ *     inset: 0.08,                  // fraction of the canvas left outside the walls
+ *     shape: "rect"                 // rect | circle | hexagon | octagon | roundedRect (engine/arena.js)
+ *   },
+ *   obstacles: [
+ *     { type: "pillar", x, y, r },                          // r: fraction of min(play w, play h)
+ *     { type: "wall", x1, y1, x2, y2, thickness },          // thickness in px (default 16)
+ *     { type: "deflector", x, y, length, angle, thickness } // length: fraction of min(w, h); angle in degrees
+ *   ],
+ *   spawnZones: [
+ *     { name: "west", x, y, w, h, team }                    // team is optional (0-based)
+ *   ]
+ * }
+ *
+ * Positions are fractions of the arena's bounding box; for non-rectangular shapes, spawns
+ * that fall outside the boundary are pulled back inside.
+ * Maps without spawn zones use the mode's default spawn layout.
+ */
+
+import { ARENA_SHAPES } from "./arena.js";
+
+export const OBSTACLE_TYPES = ["pillar", "wall", "deflector"];
+
+const DEFAULT_THICKNESS = 16;
+const DEFAULT_INSET = 0.08;
+
+export const maps = {
+  open: {
+    key: "open",
+    name: "Open Arena",
+    description: "The classic empty room.",
+    obstacles: [],
+    spawnZones: []
+  },
+  pillars: {
+    key: "pillars",
+    name: "Pillars",
+    description: "Five pillars break up lines of fire.",
+    obstacles: [
+      { type: "pillar", x: 0.5, y: 0.5, r: 0.09 },
+      { type: "pillar", x: 0.3, y: 0.28, r: 0.05 },
+      { type: "pillar", x: 0.7, y: 0.28, r: 0.05 },
+      { type: "pillar", x: 0.3, y: 0.72, r: 0.05 },
+      { type: "pillar", x: 0.7, y: 0.72, r: 0.05 }
+    ],
+    spawnZones: [
+      { name: "west", x: 0.04, y: 0.15, w: 0.16, h: 0.7, team: 0 },
+      { name: "east", x: 0.8, y: 0.15, w: 0.16, h: 0.7, team: 1 }
+    ]
+  },
+  trenches: {
+    key: "trenches",
+    name: "Trenches",
+    description: "Two long walls split the room into lanes.",
+    obstacles: [
+      { type: "wall", x1: 0.25, y1: 0.33, x2: 0.75, y2: 0.33, thickness: 18 },
+      { type: "wall", x1: 0.25, y1: 0.67, x2: 0.75, y2: 0.67, thickness: 18 }
+    ],
+    spawnZones: [
+      { name: "north", x: 0.15, y: 0.04, w: 0.7, h: 0.2, team: 0 },
+      { name: "south", x: 0.15, y: 0.76, w: 0.7, h: 0.2, team: 1 },
+      { name: "middle", x: 0.3, y: 0.42, w: 0.4, h: 0.16 }
+    ]
+  },
+  colosseum: {
+    key: "colosseum",
+    name: "Colosseum",
+    description: "A round arena ringed by four pillars.",
+    arena: { shape: "circle" },
+    obstacles: [
+      { type: "pillar", x: 0.5, y: 0.22, r: 0.05 },
+      { type: "pillar", x: 0.78, y: 0.5, r: 0.05 },
+      { type: "pillar", x: 0.5, y: 0.78, r: 0.05 },
+      { type: "pillar", x: 0.22, y: 0.5, r: 0.05 }
+    ],
+    spawnZones: []
+  },
+  deflectors: {
+    key: "deflectors",
+    name: "Deflectors",
+    description: "Angled plates near the corners send balls across the room.",
+    obstacles: [
+      { type: "deflector", x: 0.2, y: 0.25, length: 0.22, angle: -45, thickness: 14 },
+      { type: "deflector", x: 0.8, y: 0.25, length: 0.22, angle: 45, thickness: 14 },
+      { type: "deflector", x: 0.2, y: 0.75, length: 0.22, angle: 45, thickness: 14 },
+      { type: "deflector", x: 0.8, y: 0.75, length: 0.22, angle: -45, thickness: 14 },
+      { type: "pillar", x: 0.5, y: 0.5, r: 0.05 }
+    ],
+    spawnZones: [
+      { name: "west", x: 0.04, y: 0.38, w: 0.18, h: 0.24, team: 0 },
+      { name: "east", x: 0.78, y: 0.38, w: 0.18, h: 0.24, team: 1 },
+      { name: "north", x: 0.38, y: 0.06, w: 0.24, h: 0.18 },
+      { name: "south", x: 0.38, y: 0.76, w: 0.24, h: 0.18 }
+    ]
+  }
+};
+
+// Maps imported at runtime (see registerMap)
+const customMaps = {};
+
+/**
+ * Lightweight meta for UI.
+ */
+export function listMaps() {
+  return Object.values({ ...maps, ...customMaps }).map(m => ({
+    key: m.key,
+    name: m.name,
+    description: m.description ?? "",
+    custom: m.key in customMaps
+  }));
+}
+
+/**
+ * Map definition by key with a safe clone (null if unknown).
+ */
+export function getMap(key) {
+  const map = customMaps[key] ?? maps[key];
+  if (!map) return null;
+  return JSON.parse(JSON.stringify(map));
+}
+
+/**
+ * Add a validated map (from parseMap) so getMap/listMaps can find it.
+ * Custom maps never replace a built-in one; a clashing key gets a suffix.
+ * Returns the key the map was stored under.
+ */
+export function registerMap(map) {
+  let key = map.key;
+  for (let n = 2; key in maps; n++) key = `${map.key}-${n}`;
+  customMaps[key] = { ...JSON.parse(JSON.stringify(map)), key };
+  return key;
+}
+
+/**
+ * Parse and validate a map from JSON text.
+ * Throws an Error with a readable message if the data is not a usable map.
+ */
+export function parseMap(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error("Map is not valid JSON: " + e.message);
+  }
+  return validateMap(data);
+}
+
+/**
+ * Validate a map object and return a normalized copy (defaults filled in).
+ */
+export function validateMap(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("Map must be a JSON object");
+  }
+  if (typeof data.name !== "string" || !data.name.trim()) {
+    throw new Error("Map needs a name");
+  }
+  const name = data.name.trim();
+  const key = typeof data.key === "string" && data.key.trim() ? data.key.trim() : slug(name);
+
+  if (data.arena != null && (typeof data.arena !== "object" || Array.isArray(data.arena))) {
+    throw new Error("arena must be an object");
+  }
+  const inset = data.arena?.inset ?? DEFAULT_INSET;
+  checkNumber(inset, "arena.inset", 0, 0.4);
+  const shape = data.arena?.shape ?? "rect";
+  if (!ARENA_SHAPES.includes(shape)) {
+    throw new Error(`arena.shape must be one of: ${ARENA_SHAPES.join(", ")}`);
+  }
+
+  if (data.obstacles != null && !Array.isArray(data.obstacles)) {
+    throw new Error("obstacles must be an array");
+  }
+  const obstacles = (data.obstacles ?? []).map((o, i) => validateObstacle(o, `obstacles[${i}]`));
+
+  if (data.spawnZones != null && !Array.isArray(data.spawnZones)) {
+    throw new Error("spawnZones must be an array");
+  }
+  const spawnZones = (data.spawnZones ?? []).map((z, i) => {
+    const where = `spawnZones[${i}]`;
+    if (!z || typeof z !== "object") throw new Error(`${where} must be an object`);
+    for (const f of ["x", "y", "w", "h"]) checkNumber(z[f], `${where}.${f}`, 0, 1);
+    if (z.x + z.w > 1 || z.y + z.h > 1) throw new Error(`${where} extends past the arena`);
+    if (z.team != null && !(Number.isInteger(z.team) && z.team >= 0)) {
+      throw new Error(`${where}.team must be a whole number from 0`);
+    }
+    return {
+      name: typeof z.name === "string" && z.name ? z.name : `zone ${i + 1}`,
+      x: z.x, y: z.y, w: z.w, h: z.h,
+      ...(z.team != null ? { team: z.team } : {})
+    };
+  });
+
+  return {
+    key,
+    name,
+    description: typeof data.description === "string" ? data.description : "",
+    arena: { ...(data.arena ?? {}), inset, shape },
+    obstacles,
+    spawnZones
+  };
+}
+
+function validateObstacle(o, where) {
+  if (!o || typeof o !== "object") throw new Error(`${where} must be an object`);
+  if (!OBSTACLE_TYPES.includes(o.type)) {
+    throw new Error(`${where}.type must be one of: ${OBSTACLE_TYPES.join(", ")}`);
+  }
+  if (o.type === "pillar") {
+    checkNumber(o.x, `${where}.x`, 0, 1);
+    checkNumber(o.y, `${where}.y`, 0, 1);
+    checkNumber(o.r, `${where}.r`, 0.005, 0.5);
+    return { type: o.type, x: o.x, y: o.y, r: o.r };
+  }
+  const thickness = o.thickness ?? DEFAULT_THICKNESS;
+  checkNumber(thickness, `${where}.thickness`, 2, 120);
+  if (o.type === "wall") {
+    for (const f of ["x1", "y1", "x2", "y2"]) checkNumber(o[f], `${where}.${f}`, 0, 1);
+    return { type: o.type, x1: o.x1, y1: o.y1, x2: o.x2, y2: o.y2, thickness };
+  }
+  checkNumber(o.x, `${where}.x`, 0, 1);
+  checkNumber(o.y, `${where}.y`, 0, 1);
+  checkNumber(o.length, `${where}.length`, 0.01, 1);
+  checkNumber(o.angle ?? 45, `${where}.angle`, -360, 360);
+  return { type: o.type, x: o.x, y: o.y, length: o.length, angle: o.angle ?? 45, thickness };
+}
+
+function checkNumber(v, where, min, max) {
+  if (typeof v !== "number" || !Number.isFinite(v)) {
+    throw new Error(`${where} must be a number`);
+  }
+  if (v < min || v > max) {
+    throw new Error(`${where} must be between ${min} and ${max} (got ${v})`);
+  }
+}
+
+function slug(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "custom";
+}
+
+// ============ Geometry ============
+
+/**
+ * Resolve a map against a play area rectangle into world-space geometry:
+ * {
+ *   obstacles: [{ type, shape: "circle", x, y, r } | { type, shape: "segment", x1, y1, x2, y2, thickness }],
+ *   spawnZones: [{ name, team?, x, y, w, h }]
+ * }
+ * Walls and deflectors are both segments with rounded ends; only their look differs.
+ */
+export function layoutMap(map, area) {
+  if (!map) return { obstacles: [], spawnZones: [] };
+  const s = Math.min(area.w, area.h);
+  const px = (fx) => area.x + fx * area.w;
+  const py = (fy) => area.y + fy * area.h;
+
+  const obstacles = (map.obstacles ?? []).map(o => {
+    if (o.type === "pillar") {
+      return { type: o.type, shape: "circle", x: px(o.x), y: py(o.y), r: o.r * s };
+    }
+    if (o.type === "wall") {
+      return { type: o.type, shape: "segment", x1: px(o.x1), y1: py(o.y1), x2: px(o.x2), y2: py(o.y2), thickness: o.thickness ?? DEFAULT_THICKNESS };
+    }
+    const half = (o.length * s) / 2;
+    const a = ((o.angle ?? 45) * Math.PI) / 180;
+    const cx = px(o.x);
+    const cy = py(o.y);
+    return {
+      type: o.type,
+      shape: "segment",
+      x1: cx - Math.cos(a) * half,
+      y1: cy - Math.sin(a) * half,
+      x2: cx + Math.cos(a) * half,
+      y2: cy + Math.sin(a) * half,
+      thickness: o.thickness ?? DEFAULT_THICKNESS
+    };
+  });
+
+  const spawnZones = (map.spawnZones ?? []).map(z => ({
+    ...z,
+    x: px(z.x),
+    y: py(z.y),
+    w: z.w * area.w,
+    h: z.h * area.h
+  }));
+
+  return { obstacles, spawnZones };
+}
+
+/**
+ * Move a circle of the given radius out of any obstacle it overlaps (plus a small gap).
+ * Returns a new point; obstacles come from layoutMap().
+ */
+export function pushOutOfObstacles(point, radius, obstacles, gap = 4) {
+  let { x, y } = point;
+  for (const o of obstacles) {
+    let nx, ny, min;
+    if (o.shape === "circle") {
+      nx = o.x;
+      ny = o.y;
+      min = o.r + radius + gap;
+    } else {
+      const c = closestOnSegment(x, y, o);
+      nx = c.x;
+      ny = c.y;
+      min = o.thickness / 2 + radius + gap;
+    }
+    const dx = x - nx;
+    const dy = y - ny;
+    const d = Math.hypot(dx, dy);
+    if (d >= min) continue;
+    // Exactly on the centre line: push straight down
+    const ux = d > 1e-6 ? dx / d : 0;
+    const uy = d > 1e-6 ? dy / d : 1;
+    x = nx + ux * min;
+    y = ny + uy * min;
+  }
+  return { x, y };
+}
+
+/**
+ * Whether any obstacle blocks the straight line between points a and b.
+ */
+export function blocksSight(a, b, obstacles) {
+  const line = { x1: a.x, y1: a.y, x2: b.x, y2: b.y };
+  for (const o of obstacles) {
+    if (o.shape === "circle") {
+      const c = closestOnSegment(o.x, o.y, line);
+      if (Math.hypot(o.x - c.x, o.y - c.y) < o.r) return true;
+    } else if (segmentDistance(line, o) < o.thickness / 2) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Shortest distance between two segments (0 when they cross)
+function segmentDistance(s, t) {
+  const cross = (ax, ay, bx, by) => ax * by - ay * bx;
+  const d1 = cross(s.x2 - s.x1, s.y2 - s.y1, t.x1 - s.x1, t.y1 - s.y1);
+  const d2 = cross(s.x2 - s.x1, s.y2 - s.y1, t.x2 - s.x1, t.y2 - s.y1);
+  const d3 = cross(t.x2 - t.x1, t.y2 - t.y1, s.x1 - t.x1, s.y1 - t.y1);
+  const d4 = cross(t.x2 - t.x1, t.y2 - t.y1, s.x2 - t.x1, s.y2 - t.y1);
+  if (d1 * d2 < 0 && d3 * d4 < 0) return 0;
+  const gap = (x, y, seg) => {
+    const c = closestOnSegment(x, y, seg);
+    return Math.hypot(x - c.x, y - c.y);
+  };
+  return Math.min(gap(s.x1, s.y1, t), gap(s.x2, s.y2, t), gap(t.x1, t.y1, s), gap(t.x2, t.y2, s));
+}
+
+function closestOnSegment(x, y, seg) {
+  const vx = seg.x2 - seg.x1;
+  const vy = seg.y2 - seg.y1;
+  const len2 = vx * vx + vy * vy;
+  const t = len2 > 0 ? Math.max(0, Math.min(1, ((x - seg.x1) * vx + (y - seg.y1) * vy) / len2)) : 0;
+  return { x: seg.x1 + vx * t, y: seg.y1 + vy * t };
+}
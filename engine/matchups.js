@@ -0,0 +1,205 @@
+/**
+ * Batch matchup runner for balance work.
+ * Plays seeded headless matches (engine/simulation.js) and aggregates the results into
+ * win-rate matrices. Runs in the browser (yielding between matches so the page stays
+ * responsive) and in Node (see tools/matchups.mjs).
+ *
+ * Result shape:
+ * {
+ *   kind: 'weapons' | 'compositions',
+ *   labels: [{ key, name, color? }],     // rows and columns, in order
+ *   matchesPerPair, seed,
+ *   cells: [[cell]]                      // cells[row][col]; null on the diagonal
+ * }
+ * cell: { matches, wins, losses, draws, winRate, avgDurationMs, avgRemainingHp }
+ *   seen from the row's side: wins = row beat column, avgRemainingHp = row side's
+ *   total HP left at the end of the match (0 when it lost).
+ */
+
+import { createSimulation } from "./simulation.js";
+import { getWeaponDef } from "./weapons.js";
+import { createRng } from "./random.js";
+
+// Fixed arena so batch results don't depend on the window size
+export const MATCHUP_ARENA = { width: 960, height: 600 };
+
+// Matches that outlast this much simulated time count as draws
+export const DEFAULT_MAX_MATCH_MS = 180000;
+
+/**
+ * Play one headless match between two sides and report who won.
+ * - sideA, sideB: arrays of weapon keys
+ * Returns { winner: 'A' | 'B' | null, durationMs, hpA, hpB, timedOut }
+ */
+export function runMatch({ sideA, sideB, seed, maxTimeMs = DEFAULT_MAX_MATCH_MS, arena = MATCHUP_ARENA }) {
+  const roster = [...sideA, ...sideB];
+  const teams = [...sideA.map(() => 0), ...sideB.map(() => 1)];
+  const mode = roster.length === 2 ? "1v1" : "4v4";
+  const sim = createSimulation({ width: arena.width, height: arena.height, mode, roster, teams, seed });
+
+  while (!sim.isOver() && sim.getTime() < maxTimeMs) {
+    sim.step();
+  }
+
+  const state = sim.getState();
+  const hpA = sumHp(state.fighters, 0);
+  const hpB = sumHp(state.fighters, 1);
+  let winner = null;
+  if (sim.isOver()) {
+    if (hpA > 0 && hpB === 0) winner = "A";
+    else if (hpB > 0 && hpA === 0) winner = "B";
+  }
+  return {
+    winner,
+    durationMs: state.time,
+    hpA,
+    hpB,
+    timedOut: !sim.isOver()
+  };
+}
+
+/**
+ * Round-robin every pair of weapons in 1v1.
+ * - weaponKeys: weapons to include
+ * - matchesPerPair: matches per pair; sides alternate each match to cancel spawn bias
+ * - seed: batch seed; match seeds are drawn from it, so a batch is reproducible
+ * - onProgress: ({ done, total }) => void
+ * - isCancelled: () => boolean, checked between matches
+ * Resolves to the result described above, or null if cancelled.
+ */
+export function runWeaponMatchups({ weaponKeys, ...opts }) {
+  const sides = weaponKeys.map(key => {
+    const def = getWeaponDef(key);
+    if (!def) throw new Error("Unknown weapon: " + key);
+    return { key, name: def.name, color: def.color, roster: [key] };
+  });
+  return runRoundRobin("weapons", sides, opts);
+}
+
+/**
+ * Round-robin user-chosen team compositions against each other.
+ * - compositions: [{ name, roster: [weaponKey, ...] }], at most 4 fighters per side
+ */
+export function runCompositionMatchups({ compositions, ...opts }) {
+  const sides = compositions.map((c, i) => {
+    if (!c.roster?.length) throw new Error(`Composition ${c.name ?? i + 1} is empty`);
+    if (c.roster.length > 4) throw new Error(`Composition ${c.name ?? i + 1} has more than 4 fighters`);
+    for (const key of c.roster) {
+      if (!getWeaponDef(key)) throw new Error(`Unknown weapon in composition ${c.name ?? i + 1}: ${key}`);
+    }
+    const name = c.name || c.roster.join(" + ");
+    return { key: name, name, roster: c.roster.slice() };
+  });
+  return runRoundRobin("compositions", sides, opts);
+}
+
+async function runRoundRobin(kind, sides, {
+  matchesPerPair = 10,
+  seed = 1,
+  maxTimeMs = DEFAULT_MAX_MATCH_MS,
+  onProgress = () => {},
+  isCancelled = () => false
+} = {}) {
+  const n = sides.length;
+  const rng = createRng(seed);
+  const acc = sides.map(() => sides.map(() => null));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      if (i !== j) acc[i][j] = { matches: 0, wins: 0, losses: 0, draws: 0, durationMs: 0, remainingHp: 0 };
+    }
+  }
+
+  const total = (n * (n - 1) / 2) * matchesPerPair;
+  let done = 0;
+  let lastYield = now();
+
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      for (let m = 0; m < matchesPerPair; m++) {
+        if (isCancelled()) return null;
+
+        const swap = m % 2 === 1;
+        const a = swap ? j : i;
+        const b = swap ? i : j;
+        const matchSeed = Math.floor(rng.next() * 4294967296) >>> 0;
+        const r = runMatch({ sideA: sides[a].roster, sideB: sides[b].roster, seed: matchSeed, maxTimeMs });
+
+        record(acc[a][b], r.winner === "A", r.winner === "B", r, r.hpA);
+        record(acc[b][a], r.winner === "B", r.winner === "A", r, r.hpB);
+
+        done++;
+        // Give the page a chance to repaint roughly every frame
+        if (now() - lastYield > 16) {
+          onProgress({ done, total });
+          await new Promise(resolve => setTimeout(resolve, 0));
+          lastYield = now();
+        }
+      }
+    }
+  }
+  onProgress({ done, total });
+
+  return {
+    kind,
+    labels: sides.map(s => ({ key: s.key, name: s.name, color: s.color ?? null })),
+    matchesPerPair,
+    seed,
+    cells: acc.map(row => row.map(c => c && {
+      matches: c.matches,
+      wins: c.wins,
+      losses: c.losses,
+      draws: c.draws,
+      winRate: c.matches ? c.wins / c.matches : 0,
+      avgDurationMs: c.matches ? c.durationMs / c.matches : 0,
+      avgRemainingHp: c.matches ? c.remainingHp / c.matches : 0
+    }))
+  };
+}
+
+function record(cell, won, lost, result, hpLeft) {
+  cell.matches++;
+  if (won) cell.wins++;
+  else if (lost) cell.losses++;
+  else cell.draws++;
+  cell.durationMs += result.durationMs;
+  cell.remainingHp += hpLeft;
+}
+
+function sumHp(fighters, team) {
+  return fighters.filter(f => f.team === team).reduce((s, f) => s + f.hp, 0);
+}
+
+function now() {
+  return typeof performance !== "undefined" ? performance.now() : Date.now();
+}
+
+/**
+ * Flatten a result into CSV, one row per ordered pair.
+ */
+export function matchupsToCsv(result) {
+  const header = ["side", "opponent", "matches", "wins", "losses", "draws", "win_rate", "avg_duration_ms", "avg_remaining_hp"];
+  const lines = [header.join(",")];
+  result.labels.forEach((row, i) => {
+    result.labels.forEach((col, j) => {
+      const c = result.cells[i][j];
+      if (!c) return;
+      lines.push([
+        csvField(row.name),
+        csvField(col.name),
+        c.matches,
+        c.wins,
+        c.losses,
+        c.draws,
+        c.winRate.toFixed(4),
+        Math.round(c.avgDurationMs),
+        c.avgRemainingHp.toFixed(1)
+      ].join(","));
+    });
+  });
+  return lines.join("\n") + "\n";
+}
+
+function csvField(text) {
+  const s = String(text);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
@@ -1,8 +1,14 @@
 /**
  * Physics setup using Matter.js (loaded globally via index.html).
  * Provides helpers to initialize the engine, world bounds, and create bodies.
+ *
+ * Outside the page (Node, Web Workers) assign the Matter module to globalThis.Matter
+ * before importing anything from engine/.
  */
 
+import { layoutMap } from "./maps.js";
+import { makePlayArea } from "./arena.js";
+
 const {
   Engine,
   World,
@@ -16,78 +22,135 @@ const {
 /**
  * Initialize Matter.js engine and static world bounds based on canvas size.
  * gravityY is 0 for the top-down zero-gravity arena.
+ * map (engine/maps.js) adds static obstacles and can override the inset and the arena
+ * shape (map.arena.shape, see engine/arena.js; rectangular by default).
  */
-export function initPhysics({ width, height, gravityY = 0, inset = 0.08, gravityScale = 0 } = {}) {
+export function initPhysics({ width, height, gravityY = 0, inset = 0.08, gravityScale = 0, map = null } = {}) {
   const engine = Engine.create({
     gravity: { x: 0, y: gravityY, scale: gravityScale }
   });
   const world = engine.world;
 
-  const wallThickness = 160;
-  const cx = width / 2;
-  const cy = height / 2;
-  const playW = Math.max(200, Math.floor(width * (1 - inset)));
-  const playH = Math.max(200, Math.floor(height * (1 - inset)));
-
-  const walls = [
-    Bodies.rectangle(cx, cy - playH / 2 - wallThickness / 2, playW, wallThickness, {
-      isStatic: true,
-      restitution: 1,
-      friction: 0,
-      frictionStatic: 0,
-      label: "wall_top"
-    }),
-    Bodies.rectangle(cx, cy + playH / 2 + wallThickness / 2, playW, wallThickness, {
-      isStatic: true,
-      restitution: 1,
-      friction: 0,
-      frictionStatic: 0,
-      label: "wall_bottom"
-    }),
-    Bodies.rectangle(cx - playW / 2 - wallThickness / 2, cy, wallThickness, playH, {
-      isStatic: true,
-      restitution: 1,
-      friction: 0,
-      frictionStatic: 0,
-      label: "wall_left"
-    }),
-    Bodies.rectangle(cx + playW / 2 + wallThickness / 2, cy, wallThickness, playH, {
-      isStatic: true,
-      restitution: 1,
-      friction: 0,
-      frictionStatic: 0,
-      label: "wall_right"
-    })
-  ];
+  inset = map?.arena?.inset ?? inset;
+  const bounds = buildBounds(width, height, inset, map);
+  let walls = bounds.walls;
   World.add(world, walls);
 
-  return {
+  const api = {
     engine,
     world,
-    // Expose the play area rectangle so render + spawning can align with the visual room.
-    playArea: {
-      x: cx - playW / 2,
-      y: cy - playH / 2,
-      w: playW,
-      h: playH
-    },
+    // Expose the play area (bounding box + outline, see engine/arena.js) so render + spawning
+    // can align with the visual room.
+    // The object is updated in place by setCanvasBounds, so references stay current.
+    playArea: bounds.playArea,
+    // World-space obstacles and spawn zones of the map (see layoutMap), also updated in place.
+    layout: bounds.layout,
     add: (body) => World.add(world, body),
     addAll: (bodies) => World.add(world, bodies),
     remove: (body) => Composite.remove(world, body),
+    bodies: () => Composite.allBodies(world),
     clear: () => {
       // Remove all non-static bodies (keep walls)
       Composite.allBodies(world)
         .filter((b) => !b.isStatic)
         .forEach((b) => Composite.remove(world, b));
     },
+    /**
+     * Rebuild the walls, obstacles and play area for a new canvas size.
+     * Returns { from, to }: the old and new play areas. Moving dynamic
+     * bodies into the new room is up to the caller (see simulation resize()).
+     */
     setCanvasBounds: (w, h) => {
-      // For now walls remain; could rebuild if needed
-      // Not rebuilding to keep it simple.
+      const from = { ...api.playArea };
+      const next = buildBounds(w, h, inset, map);
+      walls.forEach((b) => Composite.remove(world, b));
+      walls = next.walls;
+      World.add(world, walls);
+      Object.assign(api.playArea, next.playArea);
+      Object.assign(api.layout, next.layout);
+      return { from, to: { ...api.playArea } };
     },
     onCollisionStart: (cb) => Events.on(engine, "collisionStart", cb),
     onCollisionActive: (cb) => Events.on(engine, "collisionActive", cb),
     onCollisionEnd: (cb) => Events.on(engine, "collisionEnd", cb)
   };
+  return api;
+}
+
+// Static walls just outside a play area inset from the canvas edges, plus the map's
+// obstacles laid out inside it. Rectangles use four thick walls; other shapes get one
+// wall per outline segment.
+function buildBounds(width, height, inset, map) {
+  const wallThickness = 160;
+  const cx = width / 2;
+  const cy = height / 2;
+  const playW = Math.max(200, Math.floor(width * (1 - inset)));
+  const playH = Math.max(200, Math.floor(height * (1 - inset)));
+  const wallOptions = {
+    isStatic: true,
+    restitution: 1,
+    friction: 0,
+    frictionStatic: 0
+  };
+
+  const playArea = makePlayArea(map?.arena?.shape ?? "rect", {
+    x: cx - playW / 2,
+    y: cy - playH / 2,
+    w: playW,
+    h: playH
+  });
+
+  const walls = playArea.shape === "rect"
+    ? [
+      Bodies.rectangle(cx, cy - playH / 2 - wallThickness / 2, playW, wallThickness, { ...wallOptions, label: "wall_top" }),
+      Bodies.rectangle(cx, cy + playH / 2 + wallThickness / 2, playW, wallThickness, { ...wallOptions, label: "wall_bottom" }),
+      Bodies.rectangle(cx - playW / 2 - wallThickness / 2, cy, wallThickness, playH, { ...wallOptions, label: "wall_left" }),
+      Bodies.rectangle(cx + playW / 2 + wallThickness / 2, cy, wallThickness, playH, { ...wallOptions, label: "wall_right" })
+    ]
+    : playArea.outline.map((a, i) => {
+      const b = playArea.outline[(i + 1) % playArea.outline.length];
+      return makeSegmentWall(a, b, wallThickness, { ...wallOptions, label: "wall_" + i });
+    });
+
+  const layout = layoutMap(map, playArea);
+  for (const o of layout.obstacles) {
+    walls.push(makeObstacleBody(o, wallOptions));
+  }
+
+  return { walls, playArea, layout };
+}
+
+// Thick wall lying just outside the clockwise edge a -> b, slightly longer than the edge so
+// neighbouring walls overlap at the corners
+function makeSegmentWall(a, b, thickness, options) {
+  const ex = b.x - a.x;
+  const ey = b.y - a.y;
+  const len = Math.hypot(ex, ey);
+  // Outward normal of a clockwise outline (screen coordinates)
+  const nx = ey / len;
+  const ny = -ex / len;
+  return Bodies.rectangle(
+    (a.x + b.x) / 2 + nx * thickness / 2,
+    (a.y + b.y) / 2 + ny * thickness / 2,
+    len + thickness * 0.25,
+    thickness,
+    { ...options, angle: Math.atan2(ey, ex) }
+  );
+}
+
+// Pillars are circles; walls and deflectors are capsules (rounded rectangles) along their segment
+function makeObstacleBody(o, options) {
+  const label = "obstacle_" + o.type;
+  if (o.shape === "circle") {
+    return Bodies.circle(o.x, o.y, o.r, { ...options, label });
+  }
+  const length = Math.hypot(o.x2 - o.x1, o.y2 - o.y1) + o.thickness;
+  return Bodies.rectangle((o.x1 + o.x2) / 2, (o.y1 + o.y2) / 2, length, o.thickness, {
+    ...options,
+    label,
+    angle: Math.atan2(o.y2 - o.y1, o.x2 - o.x1),
+    chamfer: { radius: o.thickness / 2 - 0.5 }
+  });
 }
 
 /**
@@ -120,8 +183,13 @@ export function makeFighterBody({
   return body;
 }
 
+// Projectiles have their own collision category and skip each other: shots meeting in
+// flight are resolved by the simulation (interceptsProjectiles), not bounced by Matter
+const PROJECTILE_CATEGORY = 0x0002;
+const PROJECTILE_MASK = 0xFFFFFFFF & ~PROJECTILE_CATEGORY;
+
 /**
- * Create a circular projectile.
+ * Create a circular projectile. Projectiles collide with everything but other projectiles.
  */
 export function makeProjectileBody({
   x,
@@ -138,11 +206,109 @@ export function makeProjectileBody({
     friction: 0,
     frictionStatic: 0,
     density,
-    label
+    label,
+    collisionFilter: { group: 0, category: PROJECTILE_CATEGORY, mask: PROJECTILE_MASK }
   });
   return body;
 }
 
+// Parked projectile bodies wait far outside any arena, one slot each so they never overlap
+const PARK_ORIGIN = { x: -100000, y: -100000 };
+const PARK_SPACING = 64;
+
+/**
+ * Reusable projectile bodies for one physics world (from initPhysics). Released bodies stay
+ * in the world, parked with collisions masked off, so a shot costs no body allocation and
+ * no world insert/remove.
+ * - acquire({ x, y, radius, sensor }): an active body at (x, y), at rest; a sensor body
+ *   reports collisions but passes through everything
+ * - release(body): stop it colliding right away (safe inside collision events)
+ * - flush(): park released bodies for reuse; call between physics steps, since moving a
+ *   body while Matter is still resolving its contacts would disturb the other body
+ */
+export function createProjectilePool(physics) {
+  const free = new Map(); // radius -> [Body]
+  let released = [];
+  let parkSlots = 0;
+
+  function acquire({ x, y, radius, sensor = false }) {
+    const body = free.get(radius)?.pop();
+    if (!body) {
+      const fresh = makeProjectileBody({ x, y, radius });
+      fresh.poolRadius = radius;
+      fresh.isSensor = sensor;
+      physics.add(fresh);
+      return fresh;
+    }
+    body.label = "projectile";
+    body.isSensor = sensor;
+    body.collisionFilter.mask = PROJECTILE_MASK;
+    Body.setAngle(body, 0);
+    Body.setAngularVelocity(body, 0);
+    Body.setPosition(body, { x, y });
+    Body.setVelocity(body, { x: 0, y: 0 });
+    // Solver leftovers from the body's previous shot
+    body.positionImpulse.x = 0;
+    body.positionImpulse.y = 0;
+    body.constraintImpulse.x = 0;
+    body.constraintImpulse.y = 0;
+    body.constraintImpulse.angle = 0;
+    return body;
+  }
+
+  function release(body) {
+    body.label = "projectile_idle";
+    body.collisionFilter.mask = 0;
+    released.push(body);
+  }
+
+  function flush() {
+    for (const body of released) {
+      body.parkSlot ??= parkSlots++;
+      Body.setVelocity(body, { x: 0, y: 0 });
+      Body.setPosition(body, { x: PARK_ORIGIN.x - body.parkSlot * PARK_SPACING, y: PARK_ORIGIN.y });
+      let list = free.get(body.poolRadius);
+      if (!list) free.set(body.poolRadius, (list = []));
+      list.push(body);
+    }
+    released = [];
+  }
+
+  return {
+    acquire,
+    release,
+    flush,
+    idleCount: () => Array.from(free.values()).reduce((n, list) => n + list.length, 0) + released.length
+  };
+}
+
+/**
+ * Create a static round bumper (arena hazard).
+ */
+export function makeBumperBody({ x, y, radius }) {
+  return Bodies.circle(x, y, radius, {
+    isStatic: true,
+    restitution: 1,
+    friction: 0,
+    frictionStatic: 0,
+    label: "hazard_bumper"
+  });
+}
+
+/**
+ * Teleport a body without giving it velocity.
+ */
+export function setPosition(body, position) {
+  Body.setPosition(body, position);
+}
+
+/**
+ * Set a body's velocity directly (px per step).
+ */
+export function setVelocity(body, velocity) {
+  Body.setVelocity(body, velocity);
+}
+
 /**
  * Apply a capped force towards a target point.
  */
@@ -201,12 +367,14 @@ export function clampVelocity(body, maxSpeed = 20) {
 
 /**
  * Keep a body moving at a stable top-down cruise speed.
+ * - random: () => [0, 1) source used to pick a direction for a stalled body;
+ *   pass the match rng's next() to keep battles reproducible.
  */
-export function setConstantSpeed(body, targetSpeed = 7) {
+export function setConstantSpeed(body, targetSpeed = 7, random = Math.random) {
   const v = body.velocity;
   let speed = Math.hypot(v.x, v.y);
   if (speed < 0.001) {
-    const angle = Math.random() * Math.PI * 2;
+    const angle = random() * Math.PI * 2;
     Body.setVelocity(body, {
       x: Math.cos(angle) * targetSpeed,
       y: Math.sin(angle) * targetSpeed
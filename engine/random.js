@@ -0,0 +1,55 @@
+/**
+ * Seedable pseudo-random number generator for reproducible battles.
+ * Every source of randomness inside a match must come from the match's rng,
+ * never from Math.random(), so the same seed always replays the same fight.
+ */
+
+/**
+ * Create a mulberry32 generator.
+ * - seed: 32-bit unsigned integer (use normalizeSeed for user input)
+ *
+ * Returns { seed, next() -> [0, 1), range(min, max) -> [min, max) }
+ */
+export function createRng(seed) {
+  const start = normalizeSeed(seed);
+  let a = start;
+
+  function next() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  return {
+    seed: start,
+    next,
+    range: (min, max) => min + next() * (max - min)
+  };
+}
+
+/**
+ * Fresh seed for a new match (the only place Math.random is allowed).
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Turn user input (number or text) into a 32-bit unsigned seed.
+ * Numeric strings map to their value; other text is hashed (FNV-1a).
+ */
+export function normalizeSeed(value) {
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return Math.floor(Math.abs(value)) >>> 0;
+  }
+  const text = String(value ?? "").trim();
+  if (/^\d+$/.test(text)) return Number(text) >>> 0;
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
@@ -0,0 +1,371 @@
+/**
+ * Match recording and playback decoding.
+ * A recording is plain JSON: a header describing the match and fighters, plus one
+ * compact frame per fixed simulation step. Frames only store what changes
+ * (positions, HP, projectiles) and the floaters/effects spawned during that step,
+ * so any frame can be rebuilt into a render state for seeking.
+ *
+ * Recording shape (version 1):
+ * {
+ *   version: 1,
+ *   seed, mode, movement, tactics, roster, width, height, playArea, stepMs,
+ *   map: map definition (engine/maps.js) or null,      // obstacles are rebuilt from it
+ *   hazards: { tiles, pads, bumpers } | null,          // static hazard layout (engine/hazards.js)
+ *   winner: string | null,
+ *   colors: string[],                                  // palette referenced by index
+ *   fighters: [{ id, team, key, name, color, radius, maxHp }],
+ *   deaths: { [fighterId]: { frame, x, y } },
+ *   kills: [{ time, victimId, killerId, cause, ... }],  // simulation kill log entries
+ *   resizes: [{ frame, width, height, playArea,        // arena rebuilt mid-match (optional)
+ *               corpses: [[id, x, y], ...],            // corpse positions after the move
+ *               hazards }],                            // hazard layout after the move
+ *   frames: [{
+ *     f: [[id, x, y, hp, statusMask?], ...],           // alive fighters; statusMask has bit i
+ *                                                      // set while STATUS_EFFECT_KINDS[i] is
+ *                                                      // active (left out when none are)
+ *     p: [[id, x, y, radius, colorIndex, kind?], ...], // projectiles; kind indexes
+ *                                                      // PROJECTILE_KINDS (left out for bullets)
+ *     b: [[x1, y1, x2, y2, width, colorIndex, hit], ...], // beams (optional); hit is 0 or 1
+ *     m: [[id, x, y, triggerRadius, colorIndex, armed], ...], // mines (optional); armed is 0 or 1
+ *     o: [[id, x, y, radius, colorIndex], ...],        // orbiting blades (optional)
+ *     s: [[kind, ...], ...],                           // visuals spawned this step (optional)
+ *     z: [x, y, r]                                     // safe zone circle (only with the zone on)
+ *   }]
+ * }
+ */
+
+import { layoutMap } from "./maps.js";
+import { STATUS_EFFECT_KINDS } from "./statusEffects.js";
+
+export const RECORDING_VERSION = 1;
+
+const SPAWN_FLOATER = 0;
+const SPAWN_RING = 1;
+
+// Projectile kinds (simulation getState) by recorded index
+const PROJECTILE_KINDS = ["bullet", "boomerang", "missile"];
+
+/**
+ * Start recording from the initial simulation state (frame 0).
+ * Call capture(state) after every fixed step and finish(winner) when the match ends.
+ */
+export function createRecorder(initialState, { roster = [], map = null } = {}) {
+  const colors = [];
+  const colorIndex = new Map();
+  let lastVisualId = 0;
+
+  const recording = {
+    version: RECORDING_VERSION,
+    seed: initialState.seed,
+    mode: initialState.mode,
+    movement: initialState.movement,
+    tactics: initialState.tactics,
+    roster: roster.slice(),
+    width: initialState.width,
+    height: initialState.height,
+    playArea: { ...initialState.playArea },
+    map: map ? JSON.parse(JSON.stringify(map)) : null,
+    hazards: staticHazards(initialState.hazards),
+    stepMs: initialState.stepMs,
+    winner: null,
+    colors,
+    fighters: initialState.fighters.map(f => ({
+      id: f.id,
+      team: f.team,
+      key: f.key,
+      name: f.name,
+      color: f.color,
+      radius: f.radius,
+      maxHp: f.maxHp
+    })),
+    deaths: {},
+    kills: [],
+    resizes: [],
+    frames: []
+  };
+  let lastBounds = boundsKey(initialState);
+
+  function color(c) {
+    let idx = colorIndex.get(c);
+    if (idx == null) {
+      idx = colors.length;
+      colors.push(c);
+      colorIndex.set(c, idx);
+    }
+    return idx;
+  }
+
+  function capture(state) {
+    const frameIndex = recording.frames.length;
+    const frame = {
+      f: state.fighters.map(fighterRow),
+      p: state.projectiles.map(p => {
+        const row = [p.id, round1(p.x), round1(p.y), p.radius, color(p.color)];
+        const kind = PROJECTILE_KINDS.indexOf(p.kind);
+        if (kind > 0) row.push(kind);
+        return row;
+      })
+    };
+    if (state.beams?.length) {
+      frame.b = state.beams.map(b => [round1(b.x1), round1(b.y1), round1(b.x2), round1(b.y2), b.width, color(b.color), b.hit ? 1 : 0]);
+    }
+    if (state.mines?.length) {
+      frame.m = state.mines.map(m => [m.id, round1(m.x), round1(m.y), m.triggerRadius, color(m.color), m.armed ? 1 : 0]);
+    }
+    if (state.blades?.length) {
+      frame.o = state.blades.map(b => [b.id, round1(b.x), round1(b.y), b.radius, color(b.color)]);
+    }
+
+    const spawned = [];
+    for (const ft of state.floaters) {
+      if (ft.id <= lastVisualId) continue;
+      spawned.push([SPAWN_FLOATER, ft.id, round1(ft.x), round1(ft.y), ft.text, color(ft.color), ft.age, ft.duration, ft.vy]);
+    }
+    for (const e of state.effects) {
+      if (e.id <= lastVisualId) continue;
+      spawned.push([SPAWN_RING, e.id, round1(e.x), round1(e.y), e.radius, color(e.color), e.age, e.duration]);
+    }
+    for (const s of spawned) lastVisualId = Math.max(lastVisualId, s[1]);
+    if (spawned.length) frame.s = spawned.map(s => [s[0], ...s.slice(2)]);
+    const zone = state.hazards?.zone;
+    if (zone) frame.z = [round1(zone.x), round1(zone.y), round1(zone.r)];
+
+    for (let k = recording.kills.length; k < (state.kills?.length ?? 0); k++) {
+      recording.kills.push({ ...state.kills[k] });
+    }
+
+    for (const c of state.corpses) {
+      if (recording.deaths[c.id]) continue;
+      recording.deaths[c.id] = { frame: frameIndex, x: round1(c.x), y: round1(c.y) };
+    }
+
+    const bounds = boundsKey(state);
+    if (bounds !== lastBounds) {
+      lastBounds = bounds;
+      recording.resizes.push({
+        frame: frameIndex,
+        width: state.width,
+        height: state.height,
+        playArea: { ...state.playArea },
+        corpses: state.corpses.map(c => [c.id, round1(c.x), round1(c.y)]),
+        hazards: staticHazards(state.hazards)
+      });
+    }
+
+    recording.frames.push(frame);
+  }
+
+  capture(initialState);
+
+  return {
+    capture,
+    finish: (winner) => {
+      recording.winner = winner ?? null;
+      return recording;
+    },
+    getRecording: () => recording
+  };
+}
+
+/**
+ * Rebuild a render state (same shape as simulation getState()) for a frame.
+ * - alpha: 0..1 interpolation from the previous frame toward this one
+ * Fighter statuses only say which effects are active ([{ effect }]); stacks, values and
+ * timers aren't recorded.
+ */
+export function decodeFrame(recording, index, alpha = 1) {
+  const frames = recording.frames;
+  const i = clampIndex(recording, index);
+  const frame = frames[i];
+  const prevFrame = frames[Math.max(0, i - 1)];
+  const infoById = new Map(recording.fighters.map(f => [f.id, f]));
+  const stepMs = recording.stepMs;
+
+  const prevFighters = new Map(prevFrame.f.map(r => [r[0], r]));
+  const fighters = frame.f.map(([id, x, y, hp, statusMask = 0]) => {
+    const info = infoById.get(id);
+    const prev = prevFighters.get(id);
+    return {
+      ...info,
+      hp,
+      x,
+      y,
+      statuses: decodeStatuses(statusMask),
+      prevX: prev ? prev[1] : x,
+      prevY: prev ? prev[2] : y
+    };
+  });
+
+  // Arena size in effect at frame i; corpses moved by a resize keep their new spot
+  let arena = recording;
+  const movedCorpses = new Map();
+  for (const r of recording.resizes) {
+    if (r.frame > i) break;
+    arena = r;
+    for (const [id, x, y] of r.corpses) movedCorpses.set(id, { x, y });
+  }
+
+  const corpses = [];
+  for (const [id, death] of Object.entries(recording.deaths)) {
+    if (death.frame > i) continue;
+    const info = infoById.get(Number(id));
+    const pos = movedCorpses.get(Number(id)) ?? death;
+    corpses.push({ ...info, hp: 0, x: pos.x, y: pos.y, statuses: [] });
+  }
+
+  const prevProjectiles = new Map(prevFrame.p.map(r => [r[0], r]));
+  const projectiles = frame.p.map(([id, x, y, radius, c, kind = 0]) => {
+    const prev = prevProjectiles.get(id);
+    return {
+      id,
+      kind: PROJECTILE_KINDS[kind],
+      color: recording.colors[c],
+      radius,
+      x,
+      y,
+      prevX: prev ? prev[1] : x,
+      prevY: prev ? prev[2] : y
+    };
+  });
+
+  const beams = (frame.b ?? []).map(([x1, y1, x2, y2, width, c, hit]) => ({
+    color: recording.colors[c], width, hit: hit === 1, x1, y1, x2, y2
+  }));
+  const mines = (frame.m ?? []).map(([id, x, y, triggerRadius, c, armed]) => ({
+    id, color: recording.colors[c], x, y, triggerRadius, armed: armed === 1
+  }));
+  const prevBlades = new Map((prevFrame.o ?? []).map(r => [r[0], r]));
+  const blades = (frame.o ?? []).map(([id, x, y, radius, c]) => {
+    const prev = prevBlades.get(id);
+    return { id, color: recording.colors[c], radius, x, y, prevX: prev ? prev[1] : x, prevY: prev ? prev[2] : y };
+  });
+
+  // Visuals spawned in recent frames that would still be alive at frame i
+  const floaters = [];
+  const effects = [];
+  const lookback = Math.ceil(2000 / stepMs);
+  for (let j = Math.max(0, i - lookback); j <= i; j++) {
+    const spawned = frames[j].s;
+    if (!spawned) continue;
+    const elapsed = (i - j) * stepMs;
+    for (const s of spawned) {
+      if (s[0] === SPAWN_FLOATER) {
+        const [, x, y, text, c, age0, duration, vy] = s;
+        const age = age0 + elapsed;
+        if (age >= duration) continue;
+        floaters.push({ x, y: y + vy * elapsed, text, color: recording.colors[c], age, duration, vy });
+      } else if (s[0] === SPAWN_RING) {
+        const [, x, y, radius, c, age0, duration] = s;
+        const age = age0 + elapsed;
+        if (age >= duration) continue;
+        effects.push({ type: "ring", x, y, radius, color: recording.colors[c], age, duration });
+      }
+    }
+  }
+
+  const isLast = i === frames.length - 1;
+  const time = i * stepMs;
+  const layout = layoutMap(recording.map, arena.playArea);
+  return {
+    time,
+    alpha,
+    seed: recording.seed,
+    width: arena.width,
+    height: arena.height,
+    mode: recording.mode,
+    playArea: { ...arena.playArea },
+    map: recording.map ? { key: recording.map.key, name: recording.map.name } : null,
+    obstacles: layout.obstacles,
+    spawnZones: layout.spawnZones,
+    hazards: {
+      zone: frame.z ? { x: frame.z[0], y: frame.z[1], r: frame.z[2] } : null,
+      ...(arena.hazards ?? recording.hazards ?? { tiles: [], pads: [], bumpers: [] })
+    },
+    winner: isLast ? recording.winner : null,
+    fighters,
+    corpses,
+    kills: (recording.kills ?? []).filter(k => k.time <= time),
+    projectiles,
+    beams,
+    mines,
+    blades,
+    effects,
+    floaters
+  };
+}
+
+/**
+ * Serialize a recording for download.
+ */
+export function serializeRecording(recording) {
+  return JSON.stringify(recording);
+}
+
+/**
+ * Parse and sanity-check a recording loaded from a file.
+ * Throws an Error with a readable message if the data is not a usable recording.
+ */
+export function parseRecording(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error("Recording is not valid JSON: " + e.message);
+  }
+  if (!data || typeof data !== "object") {
+    throw new Error("Recording must be a JSON object");
+  }
+  if (data.version !== RECORDING_VERSION) {
+    throw new Error(`Unsupported recording version: ${data.version} (expected ${RECORDING_VERSION})`);
+  }
+  if (!Array.isArray(data.frames) || data.frames.length === 0) {
+    throw new Error("Recording has no frames");
+  }
+  if (!Array.isArray(data.fighters) || !Array.isArray(data.colors)) {
+    throw new Error("Recording is missing fighter or color tables");
+  }
+  if (!(data.stepMs > 0) || !data.playArea) {
+    throw new Error("Recording is missing stepMs or playArea");
+  }
+  data.deaths = data.deaths ?? {};
+  data.kills = data.kills ?? [];
+  data.resizes = data.resizes ?? [];
+  data.map = data.map ?? null;
+  return data;
+}
+
+function fighterRow(f) {
+  const row = [f.id, round1(f.x), round1(f.y), f.hp];
+  let mask = 0;
+  for (const s of f.statuses ?? []) mask |= 1 << STATUS_EFFECT_KINDS.indexOf(s.effect);
+  if (mask) row.push(mask);
+  return row;
+}
+
+function decodeStatuses(mask) {
+  return STATUS_EFFECT_KINDS.filter((_, i) => mask & (1 << i)).map(effect => ({ effect }));
+}
+
+function clampIndex(recording, index) {
+  const last = recording.frames.length - 1;
+  return Math.max(0, Math.min(last, Math.floor(index)));
+}
+
+// Tiles, pads and bumpers only move when the arena is resized
+function staticHazards(hazards) {
+  if (!hazards) return null;
+  return {
+    tiles: hazards.tiles.map(t => ({ ...t })),
+    pads: hazards.pads.map(p => ({ ...p })),
+    bumpers: hazards.bumpers.map(b => ({ ...b }))
+  };
+}
+
+function boundsKey(state) {
+  const a = state.playArea;
+  return `${state.width}x${state.height}:${a.x},${a.y},${a.w},${a.h}`;
+}
+
+function round1(v) {
+  return Math.round(v * 10) / 10;
+}
@@ -0,0 +1,84 @@
+/**
+ * Replay timeline controls shown under the arena while a recording plays.
+ *
+ * Usage:
+ *   import { initReplayUI } from "./engine/replayUI.js";
+ *   const replayUI = initReplayUI({ onTogglePlay, onSeek, onStep, onSpeedChange, onExport, onLoad, onClose });
+ */
+
+export function initReplayUI({
+  onTogglePlay = () => {},
+  onSeek = () => {},
+  onStep = () => {},
+  onSpeedChange = () => {},
+  onExport = () => {},
+  onLoad = () => {},
+  onClose = () => {}
+} = {}) {
+  const barEl = document.getElementById("replayBar");
+  const playBtn = document.getElementById("replayPlayBtn");
+  const stepBackBtn = document.getElementById("replayStepBackBtn");
+  const stepFwdBtn = document.getElementById("replayStepFwdBtn");
+  const seekEl = document.getElementById("replaySeek");
+  const timeEl = document.getElementById("replayTime");
+  const speedEl = document.getElementById("replaySpeed");
+  const exportBtn = document.getElementById("replayExportBtn");
+  const closeBtn = document.getElementById("replayCloseBtn");
+  const loadBtn = document.getElementById("loadReplayBtn");
+  const fileEl = document.getElementById("replayFile");
+
+  let scrubbing = false;
+
+  function show() {
+    barEl.hidden = false;
+  }
+
+  function hide() {
+    barEl.hidden = true;
+  }
+
+  function update(info) {
+    if (!info) return;
+    playBtn.textContent = info.playing ? "Pause" : "Play";
+    seekEl.max = String(info.frames - 1);
+    if (!scrubbing) seekEl.value = String(info.frame);
+    timeEl.textContent = `${formatSeconds(info.time)} / ${formatSeconds(info.duration)}`;
+  }
+
+  function formatSeconds(ms) {
+    return `${(ms / 1000).toFixed(1)}s`;
+  }
+
+  function attachControls() {
+    playBtn.addEventListener("click", () => onTogglePlay());
+    stepBackBtn.addEventListener("click", () => onStep(-1));
+    stepFwdBtn.addEventListener("click", () => onStep(1));
+
+    seekEl.addEventListener("pointerdown", () => { scrubbing = true; });
+    seekEl.addEventListener("pointerup", () => { scrubbing = false; });
+    seekEl.addEventListener("input", () => onSeek(parseInt(seekEl.value, 10) || 0));
+
+    speedEl.addEventListener("change", () => {
+      onSpeedChange(parseFloat(speedEl.value || "1"));
+    });
+
+    exportBtn.addEventListener("click", () => onExport());
+    closeBtn.addEventListener("click", () => onClose());
+
+    loadBtn.addEventListener("click", () => fileEl.click());
+    fileEl.addEventListener("change", async () => {
+      const file = fileEl.files?.[0];
+      fileEl.value = "";
+      if (!file) return;
+      onLoad(await file.text(), file.name);
+    });
+  }
+
+  attachControls();
+
+  return {
+    show,
+    hide,
+    update
+  };
+}
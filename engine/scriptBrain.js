@@ -0,0 +1,228 @@
+/**
+ * User-scripted fighter brains, each running in its own Web Worker (browser only).
+ *
+ * A script defines think(view) and returns { move: { x, y }, target: enemyId, attack }
+ * (every field optional) or nothing to let the built-in AI decide. view is the read-only
+ * snapshot built by engine/simulation.js (scriptView).
+ *
+ * The simulation steps synchronously, so a brain never waits for its Worker: every step it
+ * posts the newest view (unless a reply is still outstanding) and answers with the latest
+ * decision it has, as long as that decision is at most MAX_STALE_TICKS old. Until then,
+ * and whenever a reply runs over the time budget or throws, the fighter falls back to the
+ * built-in AI. A Worker that stops answering for HANG_MS is terminated for good.
+ *
+ * The Worker is the sandbox: no DOM or page state, and network/storage APIs are removed
+ * before the script is evaluated. It is meant for trusted hack-day code, not hostile code.
+ */
+
+/** Per-think time budget (ms); slower replies are discarded. */
+export const SCRIPT_BUDGET_MS = 4;
+
+/** How many steps a decision keeps steering the fighter. */
+export const MAX_STALE_TICKS = 10;
+
+// A Worker silent for this long (wall clock) is assumed stuck and terminated
+const HANG_MS = 1000;
+
+export const EXAMPLE_SCRIPT = `// Called every tick with a read-only view:
+//   view.self     { id, team, weapon, type, x, y, vx, vy, hp, maxHp, radius, statuses, range, speed, cooldownRemaining }
+//   view.fighters [{ id, team, weapon, type, x, y, vx, vy, hp, maxHp, radius, statuses, ally }] (only those in sight)
+//   statuses      [{ effect, stacks, value, remainingMs }], e.g. effect "slow" or "burn"
+//   view.arena    { x, y, w, h, shape }
+// Return { move: { x, y }, target: enemyId, attack: true/false }; leave anything out
+// (or return nothing) to let the built-in AI handle it.
+function think(view) {
+  const me = view.self;
+  const enemies = view.fighters.filter(f => !f.ally);
+  if (enemies.length === 0) return null;
+
+  // Go for the weakest enemy in sight, but keep out of reach while reloading
+  const target = enemies.reduce((a, b) => (b.hp < a.hp ? b : a));
+  const dx = me.x - target.x;
+  const dy = me.y - target.y;
+  const d = Math.hypot(dx, dy) || 1;
+  const reloading = me.cooldownRemaining > 200;
+  const keep = reloading ? (me.range ?? 100) * 1.5 : 0;
+  return {
+    target: target.id,
+    move: { x: target.x + (dx / d) * keep, y: target.y + (dy / d) * keep }
+  };
+}
+`;
+
+const scripts = new Map([["Example: weakest first", EXAMPLE_SCRIPT]]); // name -> code
+
+/**
+ * Saved scripts for the editor, in save order: [{ name, code }].
+ */
+export function listScripts() {
+  return Array.from(scripts, ([name, code]) => ({ name, code }));
+}
+
+/**
+ * Code of a saved script, or null.
+ */
+export function getScript(name) {
+  return scripts.get(name) ?? null;
+}
+
+/**
+ * Check and store a script under its name (replacing one with the same name).
+ * Throws a readable Error if the name is blank or the code can't be used.
+ */
+export function saveScript({ name, code }) {
+  const key = String(name ?? "").trim();
+  if (!key) throw new Error("Give the script a name before saving it.");
+  checkScript(code);
+  scripts.set(key, code);
+  return key;
+}
+
+/**
+ * Compile a script without running it. Throws a readable Error on a syntax error or when
+ * think() is missing; runtime errors only show up once the script runs in its Worker.
+ */
+export function checkScript(code) {
+  if (typeof code !== "string" || !code.trim()) throw new Error("The script is empty.");
+  try {
+    new Function(code); // compiles only, nothing runs
+  } catch (e) {
+    throw new Error(`Script syntax error: ${e.message}`);
+  }
+  if (!/\bfunction\s+think\s*\(|\bthink\s*=/.test(code)) {
+    throw new Error("The script must define function think(view).");
+  }
+}
+
+// Runs inside the Worker. Kept as a function so it is syntax-checked with this file,
+// then shipped as source through a Blob URL.
+function workerMain() {
+  "use strict";
+  const post = self.postMessage.bind(self);
+  const now = () => performance.now();
+  for (const name of ["fetch", "XMLHttpRequest", "WebSocket", "EventSource", "importScripts",
+    "indexedDB", "caches", "BroadcastChannel", "Worker", "SharedWorker"]) {
+    try {
+      self[name] = undefined;
+    } catch (e) { /* not writable in this browser */ }
+  }
+
+  const deepFreeze = (value) => {
+    if (value && typeof value === "object") {
+      Object.freeze(value);
+      for (const v of Object.values(value)) deepFreeze(v);
+    }
+    return value;
+  };
+  const describe = (err) => (err && err.message) || String(err);
+
+  let think = null;
+  self.onmessage = (e) => {
+    const msg = e.data;
+    if (msg.type === "load") {
+      try {
+        // Worker globals the script could use to talk to the page are shadowed
+        const factory = new Function("self", "globalThis", "postMessage", "onmessage", "close",
+          `"use strict";\n${msg.code}\n;return typeof think === "function" ? think : null;`);
+        think = factory();
+        if (!think) throw new Error("the script must define function think(view)");
+        post({ type: "loaded" });
+      } catch (err) {
+        post({ type: "error", message: describe(err) });
+      }
+      return;
+    }
+    if (msg.type === "think" && think) {
+      const started = now();
+      let decision = null;
+      let error = null;
+      try {
+        // Round-trip through JSON so only plain data goes back to the page
+        decision = JSON.parse(JSON.stringify(think(deepFreeze(msg.view)) ?? null));
+      } catch (err) {
+        error = describe(err);
+      }
+      post({ type: "decision", tick: msg.tick, decision, error, ms: now() - started });
+    }
+  };
+}
+
+const WORKER_SOURCE = `(${workerMain.toString()})();`;
+
+/**
+ * Start a Worker for one script and return a brain for createSimulation's `brains` list.
+ * - name: shown in the inspector and in error messages
+ * - onError(message): called when the script fails to load, throws, runs over budget,
+ *   or hangs (repeated errors of the same kind are reported once)
+ * Call terminate() when the match ends.
+ */
+export function createScriptBrain(code, { name = "script", budgetMs = SCRIPT_BUDGET_MS, onError = () => {} } = {}) {
+  const url = URL.createObjectURL(new Blob([WORKER_SOURCE], { type: "text/javascript" }));
+  const worker = new Worker(url);
+  URL.revokeObjectURL(url);
+
+  let status = "loading";   // 'loading' | 'ready' | 'failed'
+  let pendingSince = null;  // performance.now() when the outstanding think was posted
+  let latest = null;        // { tick, decision }
+  const reported = new Set();
+
+  function report(kind, message) {
+    if (reported.has(kind)) return;
+    reported.add(kind);
+    onError(`${name}: ${message}`);
+  }
+
+  function fail(message) {
+    status = "failed";
+    worker.terminate();
+    report("fatal", message);
+  }
+
+  worker.onmessage = (e) => {
+    const msg = e.data;
+    if (msg.type === "loaded") {
+      status = "ready";
+    } else if (msg.type === "error") {
+      fail(msg.message);
+    } else if (msg.type === "decision") {
+      pendingSince = null;
+      if (msg.error) {
+        report("throw", msg.error);
+      } else if (msg.ms > budgetMs) {
+        report("budget", `think() took ${msg.ms.toFixed(1)} ms (budget ${budgetMs} ms)`);
+      } else {
+        latest = { tick: msg.tick, decision: msg.decision };
+      }
+    }
+  };
+  worker.onerror = (e) => {
+    e.preventDefault();
+    fail(e.message || "worker error");
+  };
+  worker.postMessage({ type: "load", code });
+
+  function decide(view) {
+    if (status !== "ready") return null;
+    if (pendingSince == null) {
+      pendingSince = performance.now();
+      worker.postMessage({ type: "think", tick: view.tick, view });
+    } else if (performance.now() - pendingSince > HANG_MS) {
+      fail(`think() stopped responding (over ${HANG_MS} ms)`);
+      return null;
+    }
+    if (!latest || view.tick - latest.tick > MAX_STALE_TICKS) return null;
+    return latest.decision;
+  }
+
+  function terminate() {
+    if (status !== "failed") worker.terminate();
+    status = "failed";
+  }
+
+  return {
+    name,
+    decide,
+    terminate,
+    getStatus: () => status
+  };
+}
@@ -0,0 +1,148 @@
+/**
+ * Bot Scripts panel: a code editor for fighter scripts and the script assigned to each
+ * selected roster slot.
+ *
+ * Usage:
+ *   import { initScriptUI } from "./engine/scriptUI.js";
+ *   const scriptUI = initScriptUI({ scriptsList, onSave, onLoadFile });
+ *   scriptUI.setRoster([{ key, name }, ...]);   // whenever the fighter selection changes
+ *   scriptUI.getAssignments();                  // [{ name, code } | null] by roster slot
+ */
+
+const BUILT_IN = ""; // slot select value for the built-in AI
+
+export function initScriptUI({
+  scriptsList = [],
+  onSave = () => {},
+  onLoadFile = () => {}
+} = {}) {
+  const selectEl = document.getElementById("scriptSelect");
+  const nameEl = document.getElementById("scriptName");
+  const editorEl = document.getElementById("scriptEditor");
+  const saveBtn = document.getElementById("scriptSaveBtn");
+  const newBtn = document.getElementById("scriptNewBtn");
+  const loadBtn = document.getElementById("scriptLoadBtn");
+  const fileEl = document.getElementById("scriptFile");
+  const slotsEl = document.getElementById("scriptSlots");
+  const statusEl = document.getElementById("scriptStatus");
+
+  let scripts = scriptsList;
+  let roster = [];
+  let assigned = [];        // script name by roster slot (BUILT_IN for none)
+
+  function renderScriptOptions(selectName = selectEl.value) {
+    selectEl.innerHTML = "";
+    for (const s of scripts) {
+      const opt = document.createElement("option");
+      opt.value = s.name;
+      opt.textContent = s.name;
+      selectEl.appendChild(opt);
+    }
+    if (scripts.some(s => s.name === selectName)) selectEl.value = selectName;
+  }
+
+  function showScript(name) {
+    const script = scripts.find(s => s.name === name);
+    if (!script) return;
+    nameEl.value = script.name;
+    editorEl.value = script.code;
+  }
+
+  function renderSlots() {
+    slotsEl.innerHTML = "";
+    roster.forEach((fighter, slot) => {
+      const label = document.createElement("label");
+      label.className = "inline";
+      label.textContent = `${slot + 1}. ${fighter.name}`;
+
+      const select = document.createElement("select");
+      select.setAttribute("aria-label", `Brain for fighter ${slot + 1}`);
+      const builtIn = document.createElement("option");
+      builtIn.value = BUILT_IN;
+      builtIn.textContent = "Built-in AI";
+      select.appendChild(builtIn);
+      for (const s of scripts) {
+        const opt = document.createElement("option");
+        opt.value = s.name;
+        opt.textContent = s.name;
+        select.appendChild(opt);
+      }
+      select.value = assigned[slot] ?? BUILT_IN;
+      select.addEventListener("change", () => { assigned[slot] = select.value; });
+
+      label.appendChild(select);
+      slotsEl.appendChild(label);
+    });
+  }
+
+  /**
+   * Replace the script list (e.g. after a save) and optionally select one in the editor.
+   * Slots keep their script if it still exists.
+   */
+  function setScripts(list, selectName) {
+    scripts = list;
+    assigned = assigned.map(name => (scripts.some(s => s.name === name) ? name : BUILT_IN));
+    renderScriptOptions(selectName);
+    if (selectName) showScript(selectName);
+    renderSlots();
+  }
+
+  /**
+   * Show one assignment row per selected fighter. Assignments stay with their slot index.
+   */
+  function setRoster(list) {
+    roster = list;
+    assigned.length = Math.min(assigned.length, roster.length);
+    renderSlots();
+  }
+
+  // Script (name and code) per roster slot, null for the built-in AI
+  function getAssignments() {
+    return roster.map((_, slot) => {
+      const script = scripts.find(s => s.name === assigned[slot]);
+      return script ? { name: script.name, code: script.code } : null;
+    });
+  }
+
+  function setStatus(text) {
+    statusEl.textContent = text;
+    statusEl.title = text;
+  }
+
+  function attachControls() {
+    selectEl.addEventListener("change", () => showScript(selectEl.value));
+    saveBtn.addEventListener("click", () => onSave({ name: nameEl.value, code: editorEl.value }));
+    newBtn.addEventListener("click", () => {
+      nameEl.value = "";
+      editorEl.value = scripts[0]?.code ?? "";
+      nameEl.focus();
+    });
+    loadBtn.addEventListener("click", () => fileEl.click());
+    fileEl.addEventListener("change", async () => {
+      const file = fileEl.files?.[0];
+      fileEl.value = "";
+      if (!file) return;
+      onLoadFile(await file.text(), file.name);
+    });
+
+    // Tab indents instead of leaving the editor
+    editorEl.addEventListener("keydown", (e) => {
+      if (e.key !== "Tab" || e.shiftKey) return;
+      e.preventDefault();
+      const { selectionStart: start, selectionEnd: end, value } = editorEl;
+      editorEl.value = value.slice(0, start) + "  " + value.slice(end);
+      editorEl.selectionStart = editorEl.selectionEnd = start + 2;
+    });
+  }
+
+  renderScriptOptions();
+  if (scripts.length > 0) showScript(scripts[0].name);
+  attachControls();
+
+  return {
+    setScripts,
+    setRoster,
+    getAssignments,
+    setStatus
+  };
+}
@@ -0,0 +1,1910 @@
+/**
+ * Headless battle simulation.
+ * Owns the physics world, fighters, projectiles, and combat rules without touching the DOM,
+ * so it can run in the browser, a Web Worker, or Node.
+ *
+ * Matter.js must be available as a global (window.Matter, self.Matter or globalThis.Matter)
+ * before this module is imported, same as engine/physics.js.
+ *
+ * The world always advances in fixed steps of FIXED_STEP_MS. tick(dtMs) only feeds an
+ * accumulator, so battles are deterministic: the same seed, mode, and roster always produce
+ * the same fight no matter how the caller slices time (frame rate, timescale, batch runs).
+ * All randomness comes from the match rng (engine/random.js) and all timing from the
+ * simulation clock.
+ *
+ * Usage:
+ *   const sim = createSimulation({ width: 960, height: 600, mode: "1v1", roster: ["sword", "bow"], seed: 42 });
+ *   while (!sim.isOver()) sim.step();
+ *   console.log(sim.getState().winner);
+ *
+ * Combat events (damage, heal, death, ...) are emitted into the `events` emitter passed in;
+ * see engine/events.js for the payloads.
+ *
+ * Movement: by default ("steer") every fighter nudges its velocity toward the point its AI
+ * wants (ai.js desiredMovePoint) with a force scaled by the weapon's agility, while
+ * setConstantSpeed keeps the cruise speed, so only the heading bends. "classic" turns the
+ * steering off and balls just bounce around at constant speed.
+ *
+ * Targeting: each fighter picks its enemy with a strategy and its team's tactic (see
+ * TARGET_STRATEGIES / TEAM_TACTICS in engine/ai.js). The chosen target drives steering and
+ * aiming; melee and ranged attackers still hit the nearest enemy when only that one is in
+ * reach. The defaults (nearest, no tactic) reproduce the original behaviour.
+ *
+ * Archetypes: besides melee, ranged, aoe, and support, a weapon can be a beam (a raycast
+ * ticking damage while it lasts, stopped by obstacles), a boomerang (a sensor projectile
+ * that flies out to range and comes back to be caught), homing missiles (projectiles that
+ * turn toward their target), a mine layer (proximity mines that arm, then blast), or
+ * orbiting blades (hit enemies they touch). See engine/weapons.js for their fields.
+ *
+ * Projectiles: each attack fires projectileCount shots in a fan. A shot expires after
+ * projectileLifeMs, passes through `pierce` enemies, is destroyed by the wall bounce after
+ * maxBounces, and splashes the enemies around every impact. Shots don't collide with each
+ * other, except that interceptsProjectiles shots destroy the enemy shots they touch.
+ *
+ * Status effects: weapons with onHit put timed effects on whoever they hit (see
+ * engine/statusEffects.js). Burn, poison, and bleed tick through dealDamage, shields soak
+ * damage before HP, slow and stun scale the cruise speed, and stunned fighters neither
+ * steer nor attack. Support weapons with buffs cast them on allies instead of healing when
+ * the AI prefers (ai.js chooseSupportAction): empower scales attack power (attackPower),
+ * haste the cruise speed, fortify the damage taken. A fighter's effects are cleared when
+ * it dies.
+ *
+ * Brains: a roster slot can be driven by a brain object instead of the built-in AI. Every
+ * step it gets decide(view) with a read-only snapshot of what the fighter can see (see
+ * scriptView) and returns { move: { x, y }, target: enemyId, attack: boolean } or null.
+ * Missing or invalid parts fall back to the built-in AI; scripted fighters always steer.
+ * engine/scriptBrain.js provides brains that run user scripts in a Worker. Their replies
+ * depend on wall-clock timing, so a match with brains doesn't reproduce from its seed.
+ *
+ * resize(width, height) rebuilds the arena mid-match. It is not part of the seeded input,
+ * so a resized match no longer reproduces from its seed (its recording still plays back).
+ */
+
+import {
+  initPhysics,
+  step as physicsStep,
+  makeFighterBody,
+  createProjectilePool,
+  setConstantSpeed,
+  steerTowards,
+  setVelocity,
+  setPosition,
+  makeBumperBody,
+  applyRadialForce,
+  distance
+} from "./physics.js";
+import {
+  getWeaponDef
+} from "./weapons.js";
+import {
+  getNearestEnemy,
+  pickTarget,
+  resolveTactics,
+  desiredMovePoint,
+  chooseSupportAction,
+  isInMeleeRange,
+  isInRangedRange
+} from "./ai.js";
+import { pushOutOfObstacles, blocksSight } from "./maps.js";
+import { constrainToArena, copyPlayArea, isInsideArena } from "./arena.js";
+import { HAZARD_TICK_MS, resolveHazards, layoutHazards, zoneCircle, onTile } from "./hazards.js";
+import {
+  STATUS_EFFECTS,
+  applyStatus,
+  tickStatuses,
+  statusSpeedMultiplier,
+  attackMultiplier,
+  damageTakenMultiplier,
+  isStunned,
+  absorbDamage,
+  summarizeStatuses
+} from "./statusEffects.js";
+import { createSpatialGrid } from "./spatialGrid.js";
+import { createRng, randomSeed } from "./random.js";
+import { createEmitter } from "./events.js";
+
+/** Duration of one simulation step (ms). */
+export const FIXED_STEP_MS = 1000 / 60;
+
+/** Most fighters a "massive" match can field across both armies. */
+export const MASSIVE_MAX_FIGHTERS = 200;
+
+/** Movement models accepted by createSimulation. */
+export const MOVEMENT_MODELS = ["steer", "classic"];
+
+// Steering force per unit of mass at agility 1: about 0.6 px/step of sideways velocity
+// per step, i.e. a fast ball can reverse in roughly half a second
+const STEER_FORCE = 0.0022;
+
+// Cell size (px) of the neighbour grid rebuilt every step
+const GRID_CELL = 128;
+
+// Projectile kind fired by each shooting weapon type
+const PROJECTILE_KIND = { ranged: "bullet", boomerang: "boomerang", homing: "missile" };
+
+/**
+ * Create a simulation for a single match.
+ * - width, height: arena size in CSS pixels
+ * - mode: 'ffa' | '1v1' | '2v2' | '4v4' | 'raid' | 'massive' (two armies, see armyRoster)
+ * - roster: array of weapon keys, in spawn order (keys may repeat)
+ * - teams: optional team index per roster slot, overriding the mode's assignment
+ * - map: optional map definition from engine/maps.js (obstacles + spawn zones)
+ * - hazards: optional hazard settings (engine/hazards.js); all hazards are off by default
+ * - movement: 'steer' (default) or 'classic' pure bouncing, see MOVEMENT_MODELS
+ * - tactics: optional target strategies and team tactics (engine/ai.js resolveTactics)
+ * - brains: optional brain per roster slot (null for the built-in AI), see "Brains" above
+ * - seed: match seed (random if omitted; read it back from getState().seed)
+ * - onStep: optional () => void called after every fixed step (e.g. for recording)
+ * - events: emitter from engine/events.js that receives combat events
+ * Throws a readable Error when a massive army has no room to line up in the arena (the
+ * map's spawn zones don't apply to massive mode; armies form up on their halves).
+ */
+export function createSimulation({
+  width,
+  height,
+  mode,
+  roster,
+  teams: teamOverride = null,
+  map = null,
+  hazards = null,
+  movement = "steer",
+  tactics: tacticsConfig = null,
+  brains = [],
+  seed = randomSeed(),
+  onStep = null,
+  events = createEmitter()
+}) {
+  if (!MOVEMENT_MODELS.includes(movement)) throw new Error("Unknown movement model: " + movement);
+  const tactics = resolveTactics(tacticsConfig);
+  const physics = initPhysics({ width, height, map });
+  const rng = createRng(seed);
+  // Hazard placement draws from its own stream so switching hazards on doesn't change
+  // the rest of a seeded fight's randomness
+  const hazardRng = createRng((rng.seed ^ 0x5bd1e995) >>> 0);
+  const hazardConfig = resolveHazards(hazards);
+
+  let time = 0;             // Simulation clock (ms), drives cooldowns and lifetimes
+  let accumulator = 0;      // Unsimulated time carried between tick() calls
+  let winner = null;        // Winner text once the match is over
+  let nextProjectileId = 1;
+  let nextVisualId = 1;     // Shared id sequence for floaters and effects
+
+  let fighters = [];        // Alive fighters
+  let corpses = [];         // Dead fighters drawn faintly
+  let projectiles = [];     // Active projectiles
+  let mines = [];           // Proximity mines, oldest first
+  let nextMineId = 1;
+  let effects = [];         // Visual effects (AOE rings, etc.)
+  let floaters = [];        // Floating texts (damage/heal)
+  const kills = [];         // Kill log with last-hit attribution, oldest first
+  let hazardLayout = { tiles: [], pads: [], bumpers: [] }; // World-space hazards (engine/hazards.js)
+  let bumperBodies = [];    // Static Matter bodies for hazardLayout.bumpers
+  let nextHazardTickAt = HAZARD_TICK_MS;
+  const fighterById = new Map(); // Every spawned fighter, alive or dead
+  const fighterByBodyId = new Map();    // Matter body id -> alive fighter
+  const projectileByBodyId = new Map(); // Matter body id -> active projectile
+  const projectilePool = createProjectilePool(physics);
+  const grid = createSpatialGrid(GRID_CELL); // Alive fighters by position, rebuilt each step
+  let maxFighterRadius = 0;
+  const teamFocus = new Map();   // team -> fighter id everyone attacks ("focusFire" tactic)
+
+  // Every roster weapon must exist and pass the schema (engine/weapons.js) before anything
+  // spawns; getWeaponDef throws a readable Error for an invalid definition
+  const rosterDefs = roster.map(key => {
+    const def = getWeaponDef(key);
+    if (!def) throw new Error("Unknown weapon: " + key);
+    return def;
+  });
+
+  // remember initial team assignment for correct win logic
+  const teams = teamOverride ? teamOverride.slice() : assignTeams(mode, roster.length);
+
+  // ============ Fighter and projectile helpers ============
+
+  function spawnFighter({ id, team, defKey, x, y, strategy, brain = null, bossMultiplier = 1 }) {
+    const def = getWeaponDef(defKey);
+    if (!def) throw new Error("Unknown weapon: " + defKey);
+    const body = makeFighterBody({
+      x, y, radius: def.radius
+    });
+    body.renderColor = def.color;
+    body.label = "fighter";
+    const maxHp = Math.round(def.hp * bossMultiplier);
+    const fighter = {
+      id,
+      team,
+      def,
+      hp: maxHp,
+      maxHp,
+      body,
+      lastAttackAt: 0,
+      strategy,               // Target strategy (engine/ai.js TARGET_STRATEGIES)
+      targetId: null,         // Enemy chosen on the latest step
+      brain,                  // Scripted brain, or null for the built-in AI
+      lastHit: null,          // { attackerId, weapon, cause, time } of the latest damage taken
+      boost: null,            // { multiplier, until } timed cruise speed change (speed pads, bumpers)
+      statuses: [],           // Active status effects (engine/statusEffects.js)
+      movePoint: null,        // Where the AI steered toward on the latest step ("steer" movement)
+      beam: null,             // Active beam: { targetId, until, nextTickAt, x2, y2, hitId }
+      bladeHitAt: new Map(),  // Orbiting blades: enemy id -> time of the latest cut
+      prev: { x, y },         // Position before the latest step, for render interpolation
+      name: def.name,
+      moveSpeed: def.speed
+    };
+    physics.add(body);
+    fighters.push(fighter);
+    fighterById.set(id, fighter);
+    fighterByBodyId.set(body.id, fighter);
+    maxFighterRadius = Math.max(maxFighterRadius, def.radius);
+    return fighter;
+  }
+
+  // One attack: projectileCount shots fanned evenly across spreadDeg around the aim
+  function fireVolley(owner, target) {
+    const { projectileCount: count, spreadDeg } = owner.def;
+    const spread = (spreadDeg * Math.PI) / 180;
+    for (let i = 0; i < count; i++) {
+      fireProjectile(owner, target, count > 1 ? spread * (i / (count - 1) - 0.5) : 0);
+    }
+  }
+
+  // A single shot at target, turned by angle radians off the straight line
+  function fireProjectile(owner, target, angle = 0) {
+    const def = owner.def;
+    const targetPos = target.body.position;
+    const radius = def.projectileRadius;
+    const kind = PROJECTILE_KIND[def.type];
+
+    const projBody = projectilePool.acquire({
+      x: owner.body.position.x,
+      y: owner.body.position.y,
+      radius,
+      sensor: kind === "boomerang" // flies over walls and through enemies
+    });
+
+    // Set velocity toward target
+    const heading = Math.atan2(targetPos.y - owner.body.position.y, targetPos.x - owner.body.position.x) + angle;
+    const speed = def.projectileSpeedPx ?? (def.projectileSpeed * 250);
+    const vx = Math.cos(heading) * speed;
+    const vy = Math.sin(heading) * speed;
+    setVelocity(projBody, { x: vx, y: vy });
+
+    const proj = {
+      id: nextProjectileId++,
+      team: owner.team,
+      ownerId: owner.id,
+      source: attribution(owner),
+      power: attackPower(owner),
+      knockback: def.knockback,
+      color: def.color,
+      radius,
+      body: projBody,
+      prev: { x: projBody.position.x, y: projBody.position.y },
+      bornAt: time,
+      lifeMs: def.projectileLifeMs,
+      moveSpeed: speed,
+      onHit: def.onHit ?? null,
+      kind,
+      targetId: target.id,                    // homing: who the missile chases
+      turn: def.homingTurn ?? 0,
+      origin: { x: projBody.position.x, y: projBody.position.y }, // boomerang: where it was thrown
+      range: def.range,
+      returning: false,
+      hits: 0,                                // enemies hit so far
+      pierceLeft: def.pierce ?? 0,            // enemies it can still pass through
+      bounces: 0,
+      maxBounces: def.maxBounces ?? null,     // null: walls don't stop it (boomerang)
+      splashRadius: def.splashRadius,
+      splashFalloff: def.splashFalloff,
+      intercepts: def.interceptsProjectiles,
+      // Enemies already hit: on this leg (boomerang) or so far (piercing shots)
+      hitIds: kind === "boomerang" || def.pierce > 0 ? new Set() : null
+    };
+    projectiles.push(proj);
+    projectileByBodyId.set(projBody.id, proj);
+    events.emit("projectileFired", {
+      time,
+      projectileId: proj.id,
+      ownerId: owner.id,
+      weapon: def.key,
+      targetId: target.id,
+      x: projBody.position.x,
+      y: projBody.position.y,
+      vx,
+      vy
+    });
+    return proj;
+  }
+
+  function addFloater(x, y, text, color = "#fff") {
+    floaters.push({
+      id: nextVisualId++,
+      x, y, text, color,
+      age: 0,
+      duration: 800,
+      vy: -0.035
+    });
+  }
+
+  function addAoeRing(x, y, radius, color) {
+    effects.push({
+      id: nextVisualId++,
+      type: "ring",
+      x, y, radius,
+      age: 0,
+      duration: 300,
+      color
+    });
+  }
+
+  // Damage per attack including any empower buff
+  function attackPower(f) {
+    return f.def.attackPower * attackMultiplier(f.statuses, time);
+  }
+
+  // Who is responsible for a hit: { id, weapon } of the fighter, kept on projectiles
+  // so a shot still credits its owner after the owner dies.
+  function attribution(fighter) {
+    return { id: fighter.id, weapon: fighter.def.key };
+  }
+
+  /**
+   * Apply damage through the single damage path (HP, floaters, events, death).
+   * - source: attribution() of the responsible fighter, or null
+   * - cause: 'melee' | 'projectile' | 'splash' | 'aoe' | 'beam' | 'mine' | 'blade' |
+   *          'collision' | 'zone' | 'hazard' | 'burn' | 'poison' | 'bleed' (status effect ticks)
+   * Fortify cuts the damage, then shields absorb what they can; damage that never reaches
+   * HP emits no event.
+   */
+  function dealDamage(target, amount, hitPoint, { color = "#fff", source = null, cause = null } = {}) {
+    if (target.hp <= 0) return;
+    amount = Math.round(amount * damageTakenMultiplier(target.statuses, time));
+    const shielded = absorbDamage(target.statuses, amount, time);
+    if (shielded.absorbed > 0) {
+      addFloater(hitPoint.x, hitPoint.y, `(${shielded.absorbed})`, STATUS_EFFECTS.shield.color);
+    }
+    amount = shielded.amount;
+    if (amount <= 0) return;
+    target.hp = Math.max(0, target.hp - amount);
+    target.lastHit = { attackerId: source?.id ?? null, weapon: source?.weapon ?? null, cause, time };
+    addFloater(hitPoint.x, hitPoint.y, `-${amount}`, color);
+    events.emit("damage", {
+      time,
+      attackerId: source?.id ?? null,
+      targetId: target.id,
+      amount,
+      absorbed: shielded.absorbed,
+      weapon: source?.weapon ?? null,
+      cause,
+      x: hitPoint.x,
+      y: hitPoint.y,
+      targetHp: target.hp
+    });
+    if (target.hp <= 0) {
+      // Move to corpses and remove body; effects end with the fighter
+      target.statuses = [];
+      corpses.push(target);
+      physics.remove(target.body);
+      fighterByBodyId.delete(target.body.id);
+      fighters = fighters.filter(f => f.id !== target.id);
+      const kill = recordKill(target);
+      events.emit("death", {
+        time,
+        fighterId: target.id,
+        team: target.team,
+        weapon: target.def.key,
+        killerId: kill.killerId,
+        killerWeapon: target.lastHit.weapon,
+        cause: kill.cause,
+        x: target.body.position.x,
+        y: target.body.position.y
+      });
+    }
+  }
+
+  // The killing blow (target.lastHit) gets the credit
+  function recordKill(victim) {
+    const killer = fighterById.get(victim.lastHit?.attackerId) ?? null;
+    const kill = {
+      time,
+      victimId: victim.id,
+      victimName: victim.name,
+      victimColor: victim.def.color,
+      killerId: killer ? killer.id : null,
+      killerName: killer ? killer.name : null,
+      killerColor: killer ? killer.def.color : null,
+      cause: victim.lastHit?.cause ?? null
+    };
+    kills.push(kill);
+    return kill;
+  }
+
+  /**
+   * Roll and apply status effects to target: a weapon's onHit (on a victim, or the ally a
+   * support weapon healed) or a support weapon's buffs. source is attribution() of the
+   * fighter responsible.
+   */
+  function applyEffects(target, effects, source) {
+    if (!effects || target.hp <= 0) return;
+    for (const spec of effects) {
+      if (spec.chance < 1 && rng.next() >= spec.chance) continue;
+      applyStatus(target.statuses, spec, time, source);
+      events.emit("statusApplied", {
+        time,
+        attackerId: source?.id ?? null,
+        targetId: target.id,
+        weapon: source?.weapon ?? null,
+        effect: spec.effect,
+        durationMs: spec.durationMs,
+        value: spec.value ?? null
+      });
+    }
+  }
+
+  function applyHeal(target, amount, atPoint, source = null) {
+    const before = target.hp;
+    target.hp = Math.min(target.maxHp, target.hp + amount);
+    const gained = Math.round(target.hp - before);
+    if (gained > 0) {
+      addFloater(atPoint.x, atPoint.y, `+${gained}`, "#10b981");
+      events.emit("heal", {
+        time,
+        healerId: source?.id ?? null,
+        targetId: target.id,
+        amount: gained,
+        weapon: source?.weapon ?? null,
+        x: atPoint.x,
+        y: atPoint.y,
+        targetHp: target.hp
+      });
+    }
+  }
+
+  // ============ Collisions ============
+
+  physics.onCollisionStart((evt) => {
+    const pairs = evt.pairs;
+    for (const p of pairs) {
+      const a = p.bodyA;
+      const b = p.bodyB;
+
+      // projectile <-> fighter
+      const proj = findProjectileByBody(a) || findProjectileByBody(b);
+      const fighter = findFighterByBody(a) || findFighterByBody(b);
+      if (proj && fighter) {
+        // team check
+        if (proj.team !== fighter.team && fighter.hp > 0 && !proj.hitIds?.has(fighter.id)) {
+          // Hit point approximate: collision midpoint
+          const hx = (p.collision.supports[0]?.x ?? fighter.body.position.x);
+          const hy = (p.collision.supports[0]?.y ?? fighter.body.position.y);
+
+          const dmg = Math.round(proj.power);
+          dealDamage(fighter, dmg, { x: hx, y: hy }, { color: "#ffd166", source: proj.source, cause: "projectile" });
+          applyEffects(fighter, proj.onHit, proj.source);
+          splash(proj, { x: hx, y: hy }, fighter.id);
+
+          // Knockback away from projectile
+          applyRadialForce(fighter.body, proj.body.position, proj.knockback);
+
+          // Remove projectile; a boomerang cuts through and only skips this enemy until it
+          // turns, a piercing shot cuts through while it has pierce left. Making the contact
+          // a sensor pair keeps Matter from bouncing the shot off the enemy.
+          proj.hits++;
+          proj.hitIds?.add(fighter.id);
+          if (proj.kind !== "boomerang") {
+            if (proj.pierceLeft > 0) {
+              proj.pierceLeft--;
+              p.isSensor = true;
+            } else {
+              removeProjectile(proj, "hit");
+            }
+          }
+        } else if (proj.hitIds?.has(fighter.id)) {
+          p.isSensor = true; // a piercing shot doesn't bounce off someone it already cut through
+        } else {
+          // Same team or dead, let it pass (optional: remove)
+        }
+      }
+
+      // projectile <-> wall, obstacle, or bumper: the bounce after maxBounces destroys the shot
+      const wall = a.isStatic ? a : b.isStatic ? b : null;
+      if (proj && wall && proj.maxBounces != null) {
+        proj.bounces++;
+        if (proj.bounces > proj.maxBounces) {
+          splash(proj, proj.body.position);
+          removeProjectile(proj, "wall");
+        }
+      }
+
+      // fighter <-> bumper: launch the ball straight away from the bumper
+      const bumper = a.label === "hazard_bumper" ? a : b.label === "hazard_bumper" ? b : null;
+      if (bumper && fighter) launchFromBumper(fighter, bumper);
+
+      // fighter <-> fighter collision damage based on impact speed
+      const fa = findFighterByBody(a);
+      const fb = findFighterByBody(b);
+      if (fa && fb && fa.id !== fb.id && fa.hp > 0 && fb.hp > 0 && fa.team !== fb.team) {
+        // approximate relative impact speed
+        const rvx = a.velocity.x - b.velocity.x;
+        const rvy = a.velocity.y - b.velocity.y;
+        const relSpeed = Math.hypot(rvx, rvy);
+
+        // threshold to avoid tiny grazes causing damage
+        if (relSpeed > 1.2) {
+          // scale damage by impact and attackPower; tuned constant for reasonable numbers
+          const impact = relSpeed;
+          const dmgToA = Math.max(1, Math.round(attackPower(fb) * impact * 0.06));
+          const dmgToB = Math.max(1, Math.round(attackPower(fa) * impact * 0.06));
+
+          const hx = (p.collision.supports[0]?.x ?? a.position.x);
+          const hy = (p.collision.supports[0]?.y ?? a.position.y);
+
+          dealDamage(fa, dmgToA, { x: hx, y: hy }, { color: "#ff7b7b", source: attribution(fb), cause: "collision" });
+          dealDamage(fb, dmgToB, { x: hx, y: hy }, { color: "#ff7b7b", source: attribution(fa), cause: "collision" });
+
+          // add small knockback impulse based on impact
+          applyRadialForce(fa.body, b.position, Math.min(0.08, impact * 0.008));
+          applyRadialForce(fb.body, a.position, Math.min(0.08, impact * 0.008));
+        }
+      }
+    }
+  });
+
+  function findFighterByBody(body) {
+    return fighterByBodyId.get(body.id) ?? null;
+  }
+  function findProjectileByBody(body) {
+    return projectileByBodyId.get(body.id) ?? null;
+  }
+  function removeProjectile(proj, reason) {
+    projectileByBodyId.delete(proj.body.id);
+    projectiles = projectiles.filter(p => p.id !== proj.id);
+    emitExpired(proj, reason);
+    projectilePool.release(proj.body);
+  }
+  function emitExpired(proj, reason) {
+    events.emit("projectileExpired", {
+      time,
+      projectileId: proj.id,
+      ownerId: proj.ownerId,
+      weapon: proj.source.weapon,
+      reason,
+      hits: proj.hits,
+      x: proj.body.position.x,
+      y: proj.body.position.y
+    });
+  }
+
+  // ============ Match setup ============
+
+  function setup() {
+    const n = roster.length;
+    // Use physics.playArea (if present) so spawning happens inside the visual room.
+    const area = physics.playArea ?? { x: 0, y: 0, w: width, h: height };
+    const { obstacles, spawnZones } = physics.layout;
+    // Massive armies line up in formation on their halves (map spawn zones are too small for
+    // them). Map spawn zones are already in world coords; the default layout is computed in
+    // the play area's local coordinates and translated
+    const spawns = mode === "massive"
+      ? formationSpawnPoints(teams, rosterDefs, area, obstacles)
+      : spawnZones.length > 0
+        ? zoneSpawnPoints(spawnZones, mode, teams, n)
+        : computeSpawnPoints(mode, teams, n, area.w, area.h, area.shape)
+          .map(p => p && { x: p.x + area.x, y: p.y + area.y });
+
+    for (let i = 0; i < n; i++) {
+      const team = teams[i];
+      // Never spawn inside an obstacle or outside a non-rectangular boundary
+      const radius = rosterDefs[i].radius;
+      const spot = pushOutOfObstacles(spawns[i] || { x: area.x + area.w / 2, y: area.y + area.h / 2 }, radius, obstacles);
+      const pos = constrainToArena(spot, radius, area);
+      const isBoss = (mode === "raid" && team === 0 && i === 0);
+      const bossMul = isBoss ? 2.0 : 1.0; // Boss gets extra HP
+      spawnFighter({
+        id: i + 1,
+        team,
+        defKey: roster[i],
+        x: pos.x,
+        y: pos.y,
+        strategy: tactics.fighters[i] ?? teamPlan(team).strategy,
+        brain: brains[i] ?? null,
+        bossMultiplier: bossMul
+      });
+    }
+
+    placeHazards(area, obstacles);
+
+    const arenaCenter = { x: area.x + area.w / 2, y: area.y + area.h / 2 };
+
+    for (const f of fighters) {
+      const dx = arenaCenter.x - f.body.position.x;
+      const dy = arenaCenter.y - f.body.position.y;
+      const baseAngle = Math.atan2(dy, dx);
+      const angle = baseAngle + (rng.next() - 0.5) * 0.7;
+      setVelocity(f.body, {
+        x: Math.cos(angle) * f.moveSpeed,
+        y: Math.sin(angle) * f.moveSpeed
+      });
+    }
+
+    events.emit("matchStart", {
+      time,
+      seed: rng.seed,
+      mode,
+      roster: roster.slice(),
+      fighters: fighters.map(f => ({
+        id: f.id,
+        team: f.team,
+        weapon: f.def.key,
+        name: f.name,
+        color: f.def.color,
+        maxHp: f.maxHp
+      }))
+    });
+  }
+
+  // ============ Hazards ============
+
+  function placeHazards(area, obstacles) {
+    hazardLayout = layoutHazards(hazardConfig, area, obstacles, hazardRng, fighters.map(f => f.body.position));
+    addBumperBodies();
+  }
+
+  function addBumperBodies() {
+    for (const b of bumperBodies) physics.remove(b);
+    bumperBodies = hazardLayout.bumpers.map(bp => makeBumperBody({ x: bp.x, y: bp.y, radius: bp.r }));
+    for (const b of bumperBodies) physics.add(b);
+  }
+
+  function launchFromBumper(f, bumperBody) {
+    if (f.hp <= 0) return;
+    const dx = f.body.position.x - bumperBody.position.x;
+    const dy = f.body.position.y - bumperBody.position.y;
+    const d = Math.hypot(dx, dy) || 1;
+    const { multiplier, durationMs } = hazardConfig.bumpers;
+    f.boost = { multiplier, until: time + durationMs };
+    setVelocity(f.body, { x: (dx / d) * f.moveSpeed * multiplier, y: (dy / d) * f.moveSpeed * multiplier });
+  }
+
+  // Cruise speed including any active boost, slow, or stun. setConstantSpeed enforces it
+  // every step, so this is the only place speed changes can stick.
+  function cruiseSpeed(f, now) {
+    if (f.boost && now >= f.boost.until) f.boost = null;
+    const boost = f.boost ? f.boost.multiplier : 1;
+    return f.moveSpeed * boost * statusSpeedMultiplier(f.statuses, now);
+  }
+
+  // Speed pads every step; zone and tile damage once per HAZARD_TICK_MS
+  function applyHazards(now) {
+    const pads = hazardConfig.speedPads;
+    for (const pad of hazardLayout.pads) {
+      for (const f of fighters) {
+        if (distance(f.body.position, pad) <= pad.r) {
+          f.boost = { multiplier: pads.multiplier, until: now + pads.durationMs };
+        }
+      }
+    }
+
+    if (now < nextHazardTickAt) return;
+    nextHazardTickAt += HAZARD_TICK_MS;
+
+    const zone = zoneCircle(hazardConfig.zone, physics.playArea, now);
+    const tileDps = hazardConfig.damageTiles.damagePerSecond;
+    for (const f of fighters.slice()) {
+      const pos = f.body.position;
+      if (zone && distance(pos, zone) > zone.r) {
+        hazardDamage(f, hazardConfig.zone.damagePerSecond, "zone", "#fb923c");
+      }
+      if (hazardLayout.tiles.some(t => onTile(pos, t))) {
+        hazardDamage(f, tileDps, "hazard", "#f43f5e");
+      }
+    }
+  }
+
+  // Homing missiles turn toward their target (or the nearest enemy once it is gone);
+  // boomerangs turn back at range and are caught by their owner
+  function guideProjectiles() {
+    for (const p of projectiles.slice()) {
+      if (p.kind === "missile") {
+        let target = fighterById.get(p.targetId);
+        if (!target || target.hp <= 0) {
+          target = getNearestEnemy({ id: null, team: p.team, body: p.body }, fighters);
+          p.targetId = target ? target.id : null;
+        }
+        if (target) turnProjectile(p, target.body.position, p.turn);
+      } else if (p.kind === "boomerang") {
+        if (!p.returning && distance(p.body.position, p.origin) >= p.range) {
+          p.returning = true;
+          p.hitIds.clear();
+        }
+        const owner = fighterById.get(p.ownerId);
+        if (!p.returning || owner.hp <= 0) continue;
+        if (distance(p.body.position, owner.body.position) <= owner.def.radius + p.radius) {
+          removeProjectile(p, "caught");
+        } else {
+          turnProjectile(p, owner.body.position, Math.PI);
+        }
+      }
+    }
+  }
+
+  // Shots with interceptsProjectiles destroy the enemy shots they touch and fly on
+  // (two interceptors destroy each other). Projectile bodies skip each other in Matter,
+  // so the overlap is checked here.
+  function interceptProjectiles() {
+    for (const p of projectiles.slice()) {
+      if (!p.intercepts || !findProjectileByBody(p.body)) continue;
+      for (const q of projectiles.slice()) {
+        if (q.team === p.team || distance(p.body.position, q.body.position) > p.radius + q.radius) continue;
+        removeProjectile(q, "intercepted");
+        if (q.intercepts) {
+          removeProjectile(p, "intercepted");
+          break;
+        }
+      }
+    }
+  }
+
+  // Rotate a projectile's heading toward a point by at most maxTurn radians
+  function turnProjectile(p, point, maxTurn) {
+    const v = p.body.velocity;
+    const heading = Math.atan2(v.y, v.x);
+    const wanted = Math.atan2(point.y - p.body.position.y, point.x - p.body.position.x);
+    let delta = wanted - heading;
+    delta = Math.atan2(Math.sin(delta), Math.cos(delta)); // wrap to -PI..PI
+    const angle = heading + Math.max(-maxTurn, Math.min(maxTurn, delta));
+    setVelocity(p.body, { x: Math.cos(angle) * p.moveSpeed, y: Math.sin(angle) * p.moveSpeed });
+  }
+
+  // Damage-over-time ticks; the effect name is the damage cause
+  function applyStatusTicks(now) {
+    for (const f of fighters.slice()) {
+      for (const { effect, amount, source } of tickStatuses(f.statuses, now)) {
+        dealDamage(f, Math.round(amount), f.body.position, { color: STATUS_EFFECTS[effect].color, source, cause: effect });
+      }
+    }
+  }
+
+  function hazardDamage(f, damagePerSecond, cause, color) {
+    const amount = Math.round((damagePerSecond * HAZARD_TICK_MS) / 1000);
+    if (amount <= 0 || f.hp <= 0) return;
+    dealDamage(f, amount, f.body.position, { color, source: null, cause });
+  }
+
+  // ============ Stepping ============
+
+  /**
+   * Advance the simulation by dtMs of simulated time, running as many fixed steps as fit.
+   * Leftover time carries over to the next call.
+   * Returns the number of steps run.
+   */
+  function tick(dtMs) {
+    if (winner || !(dtMs > 0)) return 0;
+    accumulator += dtMs;
+    let steps = 0;
+    while (accumulator >= FIXED_STEP_MS && !winner) {
+      accumulator -= FIXED_STEP_MS;
+      step();
+      steps++;
+    }
+    if (winner) accumulator = 0;
+    return steps;
+  }
+
+  /**
+   * Run exactly one fixed step. Does nothing once the match is over.
+   */
+  function step() {
+    if (winner) return;
+    const dt = FIXED_STEP_MS;
+
+    for (const f of fighters) savePrev(f);
+    for (const p of projectiles) savePrev(p);
+
+    thinkAndAct(time, dt);
+    physicsStep(physics.engine, dt);
+    time += dt;
+    postStep(time, dt);
+    projectilePool.flush();
+
+    winner = evaluateWin();
+    if (winner) {
+      // Shots still in flight end with the match (they stay in the final state), so every
+      // fired shot reports its hits
+      for (const p of projectiles) emitExpired(p, "matchEnd");
+      events.emit("matchEnd", {
+        time,
+        winner,
+        survivorIds: fighters.map(f => f.id),
+        kills: kills.map(k => ({ ...k }))
+      });
+    }
+    if (onStep) onStep();
+  }
+
+  function savePrev(entity) {
+    entity.prev.x = entity.body.position.x;
+    entity.prev.y = entity.body.position.y;
+  }
+
+  function thinkAndAct(now, dt) {
+    // Positions don't change until the physics step, so one grid serves every query below
+    grid.rebuild(fighters, f => f.body.position);
+
+    // Steering + attacks per fighter
+    for (const f of fighters) {
+      // Stunned: no steering, no attacks; the ball just drifts
+      if (isStunned(f.statuses, now)) {
+        f.movePoint = null;
+        f.beam = null;
+        continue;
+      }
+      const order = f.brain ? askBrain(f) : null;
+      const target = order?.target ?? chooseTarget(f);
+      f.targetId = target ? target.id : null;
+      if (order?.move) steer(f, target, order.move);
+      else if (movement === "steer" || f.brain) steer(f, target);
+
+      const enemy = getNearestEnemy(f, fighters, grid);
+      if (!enemy || order?.attack === false) {
+        f.beam = null;
+        continue;
+      }
+
+      // Attack intents by type
+      if (f.def.type === "melee") {
+        if (now - f.lastAttackAt >= f.def.attackCooldown) {
+          const victim = [target, enemy].find(t => t && isInMeleeRange(f, t));
+          if (victim) {
+            f.lastAttackAt = now;
+            const dmg = Math.round(attackPower(f));
+            const hitPoint = midpoint(f.body.position, victim.body.position);
+            dealDamage(victim, dmg, hitPoint, { color: "#fca5a5", source: attribution(f), cause: "melee" });
+            applyEffects(victim, f.def.onHit, attribution(f));
+
+            // Knockback both a bit
+            applyRadialForce(victim.body, f.body.position, f.def.knockback);
+            applyRadialForce(f.body, victim.body.position, f.def.knockback * 0.5);
+          }
+        }
+      } else if (PROJECTILE_KIND[f.def.type]) {
+        // A boomerang volley has to come back before it can be thrown again
+        const inHand = f.def.type !== "boomerang" || !projectiles.some(p => p.ownerId === f.id);
+        if (inHand && now - f.lastAttackAt >= f.def.attackCooldown) {
+          const aim = [target, enemy].find(t => t && isInRangedRange(f, t));
+          if (aim) {
+            f.lastAttackAt = now;
+            fireVolley(f, aim);
+          }
+        }
+      } else if (f.def.type === "aoe") {
+        if (now - f.lastAttackAt >= f.def.attackCooldown) {
+          f.lastAttackAt = now;
+          // Burst damages enemies in radius
+          const R = f.def.aoeRadius;
+          const K = f.def.aoeForce;
+          addAoeRing(f.body.position.x, f.body.position.y, R, f.def.color);
+          const hits = grid.query(f.body.position.x, f.body.position.y, R + maxFighterRadius).filter(t => {
+            if (t.team === f.team || t.id === f.id || t.hp <= 0) return false;
+            const d = distance(f.body.position, t.body.position);
+            return d <= R + (t.def.radius);
+          });
+          events.emit("aoeBurst", {
+            time: now,
+            attackerId: f.id,
+            weapon: f.def.key,
+            x: f.body.position.x,
+            y: f.body.position.y,
+            radius: R,
+            targetIds: hits.map(t => t.id)
+          });
+          for (const t of hits) {
+            const dmg = Math.round(attackPower(f));
+            dealDamage(t, dmg, t.body.position, { color: "#a78bfa", source: attribution(f), cause: "aoe" });
+            applyEffects(t, f.def.onHit, attribution(f));
+            applyRadialForce(t.body, f.body.position, K);
+          }
+        }
+      } else if (f.def.type === "beam") {
+        updateBeam(f, [target, enemy], now);
+      } else if (f.def.type === "mine") {
+        if (now - f.lastAttackAt >= f.def.attackCooldown) {
+          f.lastAttackAt = now;
+          layMine(f, now);
+        }
+      } else if (f.def.type === "orbit") {
+        cutWithBlades(f, now);
+      } else if (f.def.type === "support") {
+        if (now - f.lastAttackAt >= f.def.attackCooldown) {
+          f.lastAttackAt = now;
+          const allies = grid.query(f.body.position.x, f.body.position.y, f.def.range)
+            .filter(a => a.team === f.team && a.id !== f.id && a.hp > 0);
+          const cast = chooseSupportAction(f, allies, findHealTarget(f, allies), fighters, now, grid);
+          if (cast?.action === "heal") {
+            applyHeal(cast.target, Math.round(f.def.healAmount), cast.target.body.position, attribution(f));
+            applyEffects(cast.target, f.def.onHit, attribution(f));
+          } else if (cast?.action === "buff") {
+            applyEffects(cast.target, f.def.buffs, attribution(f));
+            addAoeRing(cast.target.body.position.x, cast.target.body.position.y, cast.target.def.radius + 10, f.def.color);
+          }
+          // Small push away from nearest enemy if close
+          if (cast && distance(f.body.position, enemy.body.position) < f.def.range * 0.7) {
+            applyRadialForce(f.body, enemy.body.position, f.def.knockback);
+          }
+        }
+      }
+    }
+  }
+
+  // ============ Beams, mines, blades ============
+
+  // Start a beam at the first candidate in range and sight, keep it on its target while it
+  // lasts, and tick damage into whatever enemy the ray touches first
+  function updateBeam(f, candidates, now) {
+    if (!f.beam && now - f.lastAttackAt >= f.def.attackCooldown) {
+      const aim = candidates.find(t => t && isInRangedRange(f, t) && canSee(f, t));
+      if (aim) {
+        f.lastAttackAt = now;
+        f.beam = { targetId: aim.id, until: now + f.def.beamDurationMs, nextTickAt: now, x2: 0, y2: 0, hitId: null };
+      }
+    }
+    if (!f.beam) return;
+    const aim = fighterById.get(f.beam.targetId);
+    if (now >= f.beam.until || !aim || aim.hp <= 0) {
+      f.beam = null;
+      return;
+    }
+    const ray = castBeam(f, aim.body.position);
+    f.beam.x2 = ray.x;
+    f.beam.y2 = ray.y;
+    f.beam.hitId = ray.hit ? ray.hit.id : null;
+    if (ray.hit && now >= f.beam.nextTickAt) {
+      f.beam.nextTickAt = now + f.def.beamTickMs;
+      dealDamage(ray.hit, Math.round(attackPower(f)), ray, { color: f.def.color, source: attribution(f), cause: "beam" });
+      applyEffects(ray.hit, f.def.onHit, attribution(f));
+      applyRadialForce(ray.hit.body, f.body.position, f.def.knockback);
+    }
+  }
+
+  // Ray from f toward a point, out to f's range: the first enemy it touches (allies let it
+  // through) and where it ends; obstacles cut it short
+  function castBeam(f, toward) {
+    const from = f.body.position;
+    const len = distance(from, toward) || 1;
+    const dx = (toward.x - from.x) / len;
+    const dy = (toward.y - from.y) / len;
+    const halfWidth = f.def.beamWidth / 2;
+    let hit = null;
+    let reach = f.def.range;
+    for (const t of grid.query(from.x, from.y, reach + maxFighterRadius)) {
+      if (t.team === f.team || t.hp <= 0) continue;
+      const rx = t.body.position.x - from.x;
+      const ry = t.body.position.y - from.y;
+      const along = rx * dx + ry * dy;
+      const off = Math.abs(rx * dy - ry * dx);
+      const r = t.def.radius + halfWidth;
+      if (along < 0 || off > r) continue;
+      const entry = Math.max(0, along - Math.sqrt(r * r - off * off));
+      if (entry < reach) {
+        hit = t;
+        reach = entry;
+      }
+    }
+    const at = (d) => ({ x: from.x + dx * d, y: from.y + dy * d });
+    const obstacles = physics.layout.obstacles;
+    if (!blocksSight(from, at(reach), obstacles)) return { hit, ...at(reach) };
+    // Blocked: find roughly where the obstacle starts
+    let lo = 0;
+    let hi = reach;
+    for (let i = 0; i < 8; i++) {
+      const mid = (lo + hi) / 2;
+      if (blocksSight(from, at(mid), obstacles)) hi = mid;
+      else lo = mid;
+    }
+    return { hit: null, ...at(lo) };
+  }
+
+  function layMine(f, now) {
+    const own = mines.filter(m => m.ownerId === f.id);
+    if (own.length >= f.def.maxMines) mines = mines.filter(m => m !== own[0]);
+    mines.push({
+      id: nextMineId++,
+      team: f.team,
+      ownerId: f.id,
+      source: attribution(f),
+      color: f.def.color,
+      x: f.body.position.x,
+      y: f.body.position.y,
+      armedAt: now + f.def.mineArmMs,
+      triggerRadius: f.def.mineTriggerRadius,
+      blastRadius: f.def.aoeRadius,
+      force: f.def.aoeForce,
+      power: attackPower(f),
+      onHit: f.def.onHit ?? null
+    });
+  }
+
+  // Armed mines go off when an enemy comes within their trigger radius
+  function updateMines(now) {
+    for (const m of mines.slice()) {
+      if (now < m.armedAt) continue;
+      if (fighters.some(t => t.team !== m.team && distance(t.body.position, m) <= m.triggerRadius + t.def.radius)) {
+        explodeMine(m);
+      }
+    }
+  }
+
+  function explodeMine(m) {
+    mines = mines.filter(other => other !== m);
+    addAoeRing(m.x, m.y, m.blastRadius, m.color);
+    const hits = fighters.filter(t => t.team !== m.team && distance(t.body.position, m) <= m.blastRadius + t.def.radius);
+    events.emit("aoeBurst", {
+      time,
+      attackerId: m.ownerId,
+      weapon: m.source.weapon,
+      x: m.x,
+      y: m.y,
+      radius: m.blastRadius,
+      targetIds: hits.map(t => t.id)
+    });
+    for (const t of hits) {
+      dealDamage(t, Math.round(m.power), t.body.position, { color: m.color, source: m.source, cause: "mine" });
+      applyEffects(t, m.onHit, m.source);
+      applyRadialForce(t.body, m, m.force);
+    }
+  }
+
+  // Splash damage around a projectile's impact, skipping the enemy it hit directly;
+  // it falls off linearly with distance to splashFalloff of attackPower at the edge
+  function splash(proj, point, exceptId = null) {
+    const R = proj.splashRadius;
+    if (!(R > 0)) return;
+    addAoeRing(point.x, point.y, R, proj.color);
+    const hits = fighters.filter(t => t.team !== proj.team && t.id !== exceptId && distance(t.body.position, point) <= R + t.def.radius);
+    events.emit("aoeBurst", {
+      time,
+      attackerId: proj.ownerId,
+      weapon: proj.source.weapon,
+      x: point.x,
+      y: point.y,
+      radius: R,
+      targetIds: hits.map(t => t.id)
+    });
+    for (const t of hits) {
+      const reach = Math.max(0, distance(t.body.position, point) - t.def.radius) / R;
+      const dmg = Math.round(proj.power * (1 - proj.splashFalloff * Math.min(1, reach)));
+      if (dmg > 0) dealDamage(t, dmg, t.body.position, { color: proj.color, source: proj.source, cause: "splash" });
+      applyRadialForce(t.body, point, proj.knockback);
+    }
+  }
+
+  // Orbiting blades cut every enemy they touch, each at most once per attackCooldown
+  function cutWithBlades(f, now) {
+    const R = f.def.bladeRadius;
+    for (const blade of bladePositions(f.def, f.body.position, now)) {
+      for (const t of grid.query(blade.x, blade.y, R + maxFighterRadius)) {
+        if (t.team === f.team || t.hp <= 0) continue;
+        if (distance(blade, t.body.position) > R + t.def.radius) continue;
+        if (now - (f.bladeHitAt.get(t.id) ?? -Infinity) < f.def.attackCooldown) continue;
+        f.bladeHitAt.set(t.id, now);
+        f.lastAttackAt = now;
+        dealDamage(t, Math.round(attackPower(f)), blade, { color: f.def.color, source: attribution(f), cause: "blade" });
+        applyEffects(t, f.def.onHit, attribution(f));
+        applyRadialForce(t.body, blade, f.def.knockback);
+      }
+    }
+  }
+
+  // Bend the velocity toward the AI's desired point; postStep restores the cruise speed,
+  // so agility only changes how fast the heading turns
+  function steer(f, target, point = desiredMovePoint(f, fighters, target, grid)) {
+    f.movePoint = point && { x: point.x, y: point.y };
+    if (!point) return;
+    const agility = f.def.agility;
+    steerTowards(f.body, point, STEER_FORCE * agility * f.body.mass);
+  }
+
+  // Orders from a scripted fighter's brain; parts that are missing or invalid (unknown
+  // or unseen target, non-numeric point) are left out so the built-in AI covers them
+  function askBrain(f) {
+    let decision;
+    try {
+      decision = f.brain.decide(scriptView(f));
+    } catch (e) {
+      return null;
+    }
+    if (!decision || typeof decision !== "object") return null;
+    const order = {};
+    const move = decision.move;
+    if (move && Number.isFinite(move.x) && Number.isFinite(move.y)) order.move = { x: move.x, y: move.y };
+    const target = fighterById.get(decision.target);
+    if (target && target.hp > 0 && target.team !== f.team && canSee(f, target)) order.target = target;
+    if (decision.attack === false) order.attack = false;
+    return order;
+  }
+
+  /**
+   * Plain-data snapshot handed to a brain: the fighter itself plus every other fighter it
+   * has line of sight to (obstacles block sight; walls and other balls don't).
+   * { tick, time, self: {...}, fighters: [{ ..., ally }], arena: { x, y, w, h, shape } }
+   */
+  function scriptView(f) {
+    const describe = (a) => ({
+      id: a.id,
+      team: a.team,
+      weapon: a.def.key,
+      type: a.def.type,
+      x: a.body.position.x,
+      y: a.body.position.y,
+      vx: a.body.velocity.x,
+      vy: a.body.velocity.y,
+      hp: a.hp,
+      maxHp: a.maxHp,
+      radius: a.def.radius,
+      statuses: summarizeStatuses(a.statuses, time)
+    });
+    const cooldown = f.def.attackCooldown;
+    const area = physics.playArea;
+    return {
+      tick: Math.round(time / FIXED_STEP_MS),
+      time,
+      self: {
+        ...describe(f),
+        range: f.def.range,
+        speed: f.moveSpeed,
+        cooldownRemaining: Math.max(0, cooldown - (time - f.lastAttackAt))
+      },
+      fighters: fighters
+        .filter(a => a.id !== f.id && canSee(f, a))
+        .map(a => ({ ...describe(a), ally: a.team === f.team })),
+      arena: { x: area.x, y: area.y, w: area.w, h: area.h, shape: area.shape ?? "rect" }
+    };
+  }
+
+  function canSee(f, other) {
+    return !blocksSight(f.body.position, other.body.position, physics.layout.obstacles);
+  }
+
+  // Strategy and tactic for a team (per-team overrides fall back to the match defaults)
+  function teamPlan(team) {
+    return tactics.teams[team] ?? tactics;
+  }
+
+  // Enemy this fighter goes for: the team tactic first, then its own strategy
+  function chooseTarget(f) {
+    const plan = teamPlan(f.team);
+    if (plan.tactic === "focusFire") {
+      let focus = fighterById.get(teamFocus.get(f.team));
+      if (!focus || focus.hp <= 0) {
+        focus = pickTarget(f, fighters, plan.strategy, rng.next, grid);
+        if (focus) teamFocus.set(f.team, focus.id);
+      }
+      return focus;
+    }
+    if (plan.tactic === "bodyguard" && f.def.type !== "support") {
+      const ward = fighters.find(a => a.team === f.team && a.id !== f.id && a.def.type === "support");
+      if (ward) return getNearestEnemy(ward, fighters, grid);
+    }
+    // Random picks stick until the target dies so the fighter doesn't twitch between enemies
+    const current = fighterById.get(f.targetId);
+    if (f.strategy === "random" && current && current.hp > 0) return current;
+    return pickTarget(f, fighters, f.strategy, rng.next, grid);
+  }
+
+  // Lowest HP-ratio injured ally within the healer's range, or null.
+  // pool narrows the search (e.g. a grid query); it defaults to every alive fighter.
+  function findHealTarget(f, pool = fighters) {
+    let best = null;
+    let bestRatio = 1.01;
+    const R = f.def.range;
+    for (const a of pool) {
+      if (a.team !== f.team || a.id === f.id || a.hp <= 0) continue;
+      const r = a.hp / a.maxHp;
+      if (r >= 1) continue;
+      const d = distance(f.body.position, a.body.position);
+      if (d > R) continue;
+      if (r < bestRatio) {
+        best = a;
+        bestRatio = r;
+      }
+    }
+    return best;
+  }
+
+  function postStep(now, dt) {
+    // Cull old projectiles
+    for (let i = projectiles.length - 1; i >= 0; i--) {
+      const p = projectiles[i];
+      if (now - p.bornAt > p.lifeMs) {
+        removeProjectile(p, "timeout");
+      }
+    }
+
+    applyHazards(now);
+    applyStatusTicks(now);
+    updateMines(now);
+    guideProjectiles();
+    interceptProjectiles();
+
+    for (const f of fighters) {
+      setConstantSpeed(f.body, cruiseSpeed(f, now), rng.next);
+    }
+
+    for (const p of projectiles) {
+      setConstantSpeed(p.body, p.moveSpeed, rng.next);
+    }
+
+    // Animate floaters/effects
+    for (let i = floaters.length - 1; i >= 0; i--) {
+      const ft = floaters[i];
+      ft.age += dt;
+      ft.y += ft.vy * dt;
+      if (ft.age >= ft.duration) {
+        floaters.splice(i, 1);
+      }
+    }
+    for (let i = effects.length - 1; i >= 0; i--) {
+      const e = effects[i];
+      e.age += dt;
+      if (e.age >= e.duration) effects.splice(i, 1);
+    }
+  }
+
+  function evaluateWin() {
+    const aliveCount = fighters.length;
+    if (aliveCount === 0) return "No winners";
+
+    // If only one fighter alive -> that fighter wins (covers FFA and 1v1 cases)
+    if (aliveCount === 1) {
+      const winner = fighters[0];
+      return `${winner.name} wins!`;
+    }
+
+    // More than one alive: check team elimination
+    const aliveTeams = new Set(fighters.map(f => f.team));
+
+    // If all alive fighters belong to the same team, and the match started with multiple teams,
+    // declare that team the winner (e.g., team vs team modes).
+    if (aliveTeams.size === 1) {
+      const team = [...aliveTeams][0];
+      const remaining = aliveCount;
+      const originalTeams = new Set(teams);
+      if (originalTeams.size > 1) {
+        return `Team ${team + 1} wins (${remaining} alive)`;
+      }
+      // If originalTeams.size <= 1, fall through (no valid multi-team elimination)
+    }
+
+    // Otherwise no winner yet
+    return null;
+  }
+
+  // ============ State snapshot ============
+
+  function fighterState(f) {
+    return {
+      id: f.id,
+      team: f.team,
+      key: f.def.key,
+      name: f.name,
+      color: f.def.color,
+      radius: f.def.radius,
+      hp: f.hp,
+      maxHp: f.maxHp,
+      x: f.body.position.x,
+      y: f.body.position.y,
+      prevX: f.prev.x,
+      prevY: f.prev.y,
+      vx: f.body.velocity.x,
+      vy: f.body.velocity.y,
+      statuses: summarizeStatuses(f.statuses, time)
+    };
+  }
+
+  /**
+   * Plain-data snapshot of the world for renderers and tools.
+   * Contains no Matter bodies, so it is safe to post to a Worker or serialize.
+   * alpha is how far (0..1) the clock has run into the next fixed step; renderers
+   * draw entities at lerp(prev, current, alpha).
+   */
+  function getState() {
+    return {
+      time,
+      alpha: accumulator / FIXED_STEP_MS,
+      stepMs: FIXED_STEP_MS,
+      seed: rng.seed,
+      width,
+      height,
+      mode,
+      movement,
+      tactics: JSON.parse(JSON.stringify(tactics)),
+      teams: teams.slice(),
+      playArea: copyPlayArea(physics.playArea),
+      map: map ? { key: map.key, name: map.name } : null,
+      obstacles: physics.layout.obstacles.map(o => ({ ...o })),
+      spawnZones: physics.layout.spawnZones.map(z => ({ ...z })),
+      hazards: {
+        zone: zoneCircle(hazardConfig.zone, physics.playArea, time),
+        tiles: hazardLayout.tiles.map(t => ({ ...t })),
+        pads: hazardLayout.pads.map(p => ({ ...p })),
+        bumpers: hazardLayout.bumpers.map(b => ({ ...b }))
+      },
+      winner,
+      fighters: fighters.map(fighterState),
+      corpses: corpses.map(fighterState),
+      kills: kills.map(k => ({ ...k })),
+      projectiles: projectiles.map(p => ({
+        id: p.id,
+        team: p.team,
+        kind: p.kind,
+        color: p.color,
+        radius: p.radius,
+        x: p.body.position.x,
+        y: p.body.position.y,
+        prevX: p.prev.x,
+        prevY: p.prev.y
+      })),
+      beams: fighters.filter(f => f.beam).map(f => ({
+        ownerId: f.id,
+        color: f.def.color,
+        width: f.def.beamWidth,
+        hit: f.beam.hitId != null,
+        x1: f.body.position.x,
+        y1: f.body.position.y,
+        x2: f.beam.x2,
+        y2: f.beam.y2
+      })),
+      mines: mines.map(m => ({
+        id: m.id,
+        team: m.team,
+        color: m.color,
+        x: m.x,
+        y: m.y,
+        triggerRadius: m.triggerRadius,
+        armed: time >= m.armedAt
+      })),
+      blades: fighters.filter(f => f.def.type === "orbit").flatMap(bladeState),
+      effects: effects.map(e => ({ ...e })),
+      floaters: floaters.map(ft => ({ ...ft }))
+    };
+  }
+
+  // Blade positions now and one step earlier (for interpolation); ids are stable per blade
+  function bladeState(f) {
+    const now = bladePositions(f.def, f.body.position, time);
+    const before = bladePositions(f.def, f.prev, time - FIXED_STEP_MS);
+    return now.map((b, i) => ({
+      id: f.id * 16 + i,
+      ownerId: f.id,
+      color: f.def.color,
+      radius: f.def.bladeRadius,
+      x: b.x,
+      y: b.y,
+      prevX: before[i].x,
+      prevY: before[i].y
+    }));
+  }
+
+  // ============ Debug inspection ============
+
+  /**
+   * Id of the fighter under a world point (alive fighters first, then corpses), or null.
+   */
+  function fighterAt(x, y) {
+    const hit = (f) => distance({ x, y }, f.body.position) <= (f.def.radius);
+    const found = fighters.find(hit) ?? [...corpses].reverse().find(hit);
+    return found ? found.id : null;
+  }
+
+  /**
+   * Detailed, plain-data view of one fighter for debugging (null if unknown).
+   */
+  function inspectFighter(id) {
+    const f = fighterById.get(id);
+    if (!f) return null;
+    const alive = f.hp > 0;
+    const cooldown = f.def.attackCooldown;
+    const chosen = fighterById.get(f.targetId);
+    const target = alive && chosen && chosen.hp > 0 ? chosen : null;
+    const v = f.body.velocity;
+    return {
+      id: f.id,
+      name: f.name,
+      team: f.team,
+      alive,
+      hp: f.hp,
+      maxHp: f.maxHp,
+      def: JSON.parse(JSON.stringify(f.def)),
+      time,
+      lastAttackAt: f.lastAttackAt,
+      cooldown,
+      cooldownRemaining: Math.max(0, cooldown - (time - f.lastAttackAt)),
+      position: { x: f.body.position.x, y: f.body.position.y },
+      velocity: { x: v.x, y: v.y },
+      speed: Math.hypot(v.x, v.y),
+      moveSpeed: f.moveSpeed,
+      strategy: f.strategy,
+      tactic: teamPlan(f.team).tactic,
+      brain: f.brain ? f.brain.name ?? "script" : null,
+      movePoint: f.movePoint && { ...f.movePoint },
+      lastHit: f.lastHit && { ...f.lastHit },
+      statuses: summarizeStatuses(f.statuses, time),
+      target: target && {
+        id: target.id,
+        name: target.name,
+        distance: distance(f.body.position, target.body.position)
+      }
+    };
+  }
+
+  // Centre distance at which f's attack connects, minus the target radius (null: none)
+  function debugReach(def) {
+    if (def.type === "melee") return def.range + def.radius;
+    if (def.type === "orbit") return def.orbitRadius + def.bladeRadius;
+    if (def.type === "aoe" || def.type === "mine") return null;
+    return def.range;
+  }
+
+  /**
+   * Plain-data geometry and AI decisions for the debug overlay, at the exact physics
+   * positions of the last step (not interpolated).
+   * - bodies: every Matter body in play (walls included, parked pool bodies left out) as
+   *   { label, isStatic, vertices: [{ x, y }] }
+   * - fighters: { id, team, color, type, x, y, vx, vy, radius, reach, aoeRadius,
+   *               targetId, healTargetId, movePoint, cooldownProgress }
+   *   reach is the centre distance at which an attack connects, minus the target's radius
+   *   (melee: range + own radius, see isInMeleeRange; orbit: blade orbit + blade radius;
+   *   aoe and mine: null; everything else: range).
+   *   movePoint is where the AI steered toward (null when hovering or with classic movement).
+   *   cooldownProgress runs 0..1 from the last attack until the next one is ready.
+   */
+  function getDebugState() {
+    return {
+      time,
+      bodies: physics.bodies().filter(b => b.label !== "projectile_idle").map(b => ({
+        label: b.label,
+        isStatic: b.isStatic,
+        vertices: b.vertices.map(v => ({ x: v.x, y: v.y }))
+      })),
+      fighters: fighters.map(f => {
+        const radius = f.def.radius;
+        const target = fighterById.get(f.targetId);
+        const heal = f.def.type === "support" ? findHealTarget(f) : null;
+        const cooldown = f.def.attackCooldown;
+        const type = f.def.type;
+        return {
+          id: f.id,
+          team: f.team,
+          color: f.def.color,
+          type,
+          x: f.body.position.x,
+          y: f.body.position.y,
+          vx: f.body.velocity.x,
+          vy: f.body.velocity.y,
+          radius,
+          reach: debugReach(f.def),
+          aoeRadius: type === "aoe" ? f.def.aoeRadius : null,
+          targetId: target && target.hp > 0 ? target.id : null,
+          healTargetId: heal ? heal.id : null,
+          movePoint: f.movePoint && { ...f.movePoint },
+          cooldownProgress: Math.min(1, (time - f.lastAttackAt) / cooldown)
+        };
+      })
+    };
+  }
+
+  // ============ Arena resizing ============
+
+  /**
+   * Rebuild walls and playArea for a new arena size and move every fighter, corpse,
+   * projectile and visual to the same relative spot in the new room.
+   */
+  function resize(newWidth, newHeight) {
+    if (newWidth === width && newHeight === height) return;
+    width = newWidth;
+    height = newHeight;
+    const { from, to } = physics.setCanvasBounds(width, height);
+
+    const remap = (x, y) => ({
+      x: to.x + ((x - from.x) / from.w) * to.w,
+      y: to.y + ((y - from.y) / from.h) * to.h
+    });
+    const moveEntity = (entity, radius) => {
+      const spot = pushOutOfObstacles(remap(entity.body.position.x, entity.body.position.y), radius, physics.layout.obstacles);
+      const pos = constrainToArena(spot, radius, to);
+      setPosition(entity.body, pos);
+      // No interpolation streak across the jump
+      entity.prev.x = pos.x;
+      entity.prev.y = pos.y;
+    };
+
+    for (const f of fighters) moveEntity(f, f.def.radius);
+    for (const c of corpses) moveEntity(c, c.def.radius);
+    for (const p of projectiles) moveEntity(p, p.radius);
+    for (const m of mines) Object.assign(m, remap(m.x, m.y));
+    for (const v of [...effects, ...floaters]) Object.assign(v, remap(v.x, v.y));
+
+    // Hazards keep their relative spot and scale with the arena
+    const k = Math.min(to.w, to.h) / Math.min(from.w, from.h);
+    const moveHazard = (h) => Object.assign(h, remap(h.x, h.y), h.r != null ? { r: h.r * k } : { size: h.size * k });
+    hazardLayout.tiles.forEach(moveHazard);
+    hazardLayout.pads.forEach(moveHazard);
+    hazardLayout.bumpers.forEach(moveHazard);
+    addBumperBodies();
+  }
+
+  setup();
+
+  return {
+    tick,
+    step,
+    getState,
+    isOver: () => winner != null,
+    getWinner: () => winner,
+    getTime: () => time,
+    getSeed: () => rng.seed,
+    fighterAt,
+    inspectFighter,
+    getDebugState,
+    resize,
+    on: events.on
+  };
+}
+
+// ============ Teaming and spawns ============
+
+/**
+ * Expand massive-mode armies into a roster and team list for createSimulation.
+ * armies: [{ weaponKey: count, ... }, { ... }], one object per team (e.g. 30 swords vs 20 bows
+ * is [{ sword: 30 }, { bow: 20 }]). Throws a readable Error for unknown weapons, bad counts,
+ * an empty army, or more than MASSIVE_MAX_FIGHTERS in total.
+ */
+export function armyRoster(armies) {
+  if (!Array.isArray(armies) || armies.length !== 2) throw new Error("Massive mode needs exactly two armies.");
+  const roster = [];
+  const teams = [];
+  armies.forEach((army, team) => {
+    let size = 0;
+    for (const [key, count] of Object.entries(army ?? {})) {
+      if (!getWeaponDef(key)) throw new Error("Unknown weapon: " + key);
+      if (!Number.isInteger(count) || count < 0) {
+        throw new Error(`Team ${team + 1}: the ${key} count must be a whole number of 0 or more.`);
+      }
+      for (let i = 0; i < count; i++) {
+        roster.push(key);
+        teams.push(team);
+      }
+      size += count;
+    }
+    if (size === 0) throw new Error(`Team ${team + 1} has no fighters.`);
+  });
+  if (roster.length > MASSIVE_MAX_FIGHTERS) {
+    throw new Error(`Massive battles are limited to ${MASSIVE_MAX_FIGHTERS} fighters (got ${roster.length}).`);
+  }
+  return { roster, teams };
+}
+
+/**
+ * How many fighters each massive army has room to line up in this arena (width, height and
+ * map as for createSimulation), sized by the army's largest fighter; 0 for an empty army.
+ * armies as for armyRoster. Returns [team 1 room, team 2 room].
+ */
+export function armyCapacity({ width, height, armies, map = null }) {
+  const physics = initPhysics({ width, height, map });
+  return armies.map((army, side) => {
+    const radii = Object.entries(army ?? {})
+      .filter(([, count]) => count > 0)
+      .map(([key]) => getWeaponDef(key)?.radius ?? 16);
+    if (radii.length === 0) return 0;
+    return formationSlots(side, Math.max(...radii), Infinity, physics.playArea, physics.layout.obstacles).length;
+  });
+}
+
+function assignTeams(mode, count) {
+  const teams = new Array(count).fill(0);
+
+  if (mode === "ffa") {
+    // each fighter unique team (use separate teams so last-man-standing works)
+    for (let i = 0; i < count; i++) teams[i] = i;
+  } else if (mode === "1v1") {
+    // explicit 1v1: first two fighters opposing teams
+    if (count >= 2) {
+      teams[0] = 0;
+      teams[1] = 1;
+      // any extras (shouldn't happen) alternate
+      for (let i = 2; i < count; i++) teams[i] = i % 2;
+    } else {
+      for (let i = 0; i < count; i++) teams[i] = 0;
+    }
+  } else if (mode === "2v2" || mode === "4v4" || mode === "massive") {
+    // two teams: alternate assignment
+    for (let i = 0; i < count; i++) teams[i] = i % 2;
+  } else if (mode === "raid") {
+    // first fighter is boss team 0, others team 1
+    if (count > 0) teams[0] = 0;
+    for (let i = 1; i < count; i++) teams[i] = 1;
+  }
+  return teams;
+}
+
+function computeSpawnPoints(mode, teams, count, w, h, shape = "rect") {
+  // Round and polygonal arenas have no corners: pull the layout toward the centre so
+  // corner starts land inside the boundary instead of all sliding onto the wall
+  const k = shape === "rect" ? 1 : 0.72;
+  const pts = rectSpawnPoints(mode, teams, count, w, h);
+  if (shape === "rect") return pts;
+  return pts.map(p => p && { x: w / 2 + (p.x - w / 2) * k, y: h / 2 + (p.y - h / 2) * k });
+}
+
+function rectSpawnPoints(mode, teams, count, w, h) {
+  const pts = new Array(count);
+
+  // Free-for-all: for small counts prefer corner/quadrant starts, otherwise circle
+  if (mode === "ffa") {
+    const cx = w / 2, cy = h / 2;
+    if (count === 1) {
+      pts[0] = { x: cx, y: cy };
+      return pts;
+    }
+    if (count <= 4) {
+      // corners: TL, TR, BL, BR (in that order)
+      const corners = [
+        { x: w * 0.15, y: h * 0.15 },
+        { x: w * 0.85, y: h * 0.15 },
+        { x: w * 0.15, y: h * 0.85 },
+        { x: w * 0.85, y: h * 0.85 }
+      ];
+      for (let i = 0; i < count; i++) {
+        pts[i] = applyJitter(corners[i], i);
+      }
+      return pts;
+    }
+    // default: circle around center for larger free-for-all
+    const R = Math.min(w, h) * 0.35;
+    for (let i = 0; i < count; i++) {
+      const a = (i / count) * Math.PI * 2;
+      pts[i] = { x: cx + Math.cos(a) * R, y: cy + Math.sin(a) * R };
+    }
+    return pts;
+  }
+
+  // Raid: boss on left, others spread on right area
+  if (mode === "raid") {
+    const bossPos = { x: w * 0.25, y: h * 0.5 };
+    if (count > 0) pts[0] = bossPos;
+    const rest = count - 1;
+    for (let i = 0; i < rest; i++) {
+      const row = Math.floor(i / 3);
+      const col = i % 3;
+      const x = w * 0.62 + (col - 1) * 60;
+      const y = h * 0.35 + row * 80;
+      pts[i + 1] = { x, y };
+    }
+    return pts;
+  }
+
+  // 1v1: put fighters in opposite corners so movement uses both axes
+  if (mode === "1v1") {
+    pts[0] = { x: w * 0.15, y: h * 0.20 }; // top-left
+    pts[1] = { x: w * 0.85, y: h * 0.80 }; // bottom-right
+    return pts;
+  }
+
+  // 2v2: put each team in opposite corners (top/bottom) to encourage 2D movement
+  if (mode === "2v2") {
+    const leftCorners = [{ x: w * 0.15, y: h * 0.2 }, { x: w * 0.15, y: h * 0.8 }];
+    const rightCorners = [{ x: w * 0.85, y: h * 0.2 }, { x: w * 0.85, y: h * 0.8 }];
+    let l = 0, r = 0;
+    for (let i = 0; i < count; i++) {
+      if (teams[i] === 0) pts[i] = leftCorners[l++] || { x: w * 0.2 + (l * 20), y: h * 0.5 };
+      else pts[i] = rightCorners[r++] || { x: w * 0.8 - (r * 20), y: h * 0.5 };
+    }
+    return pts;
+  }
+
+  // Default team placement: split left/right but stagger rows and add small jitter
+  const team0 = [];
+  const team1 = [];
+  for (let i = 0; i < count; i++) {
+    if (teams[i] === 0) team0.push(i);
+    else team1.push(i);
+  }
+
+  // create grids but with adaptive cols/rows based on team size
+  const makeGrid = (cx, cy, n) => {
+    const cols = Math.min(3, Math.max(1, Math.ceil(Math.sqrt(n))));
+    const rows = Math.ceil(n / cols);
+    const dx = Math.min(80, (w * 0.12));
+    const dy = Math.min(90, (h * 0.12));
+    return gridPositions(cx, cy, cols, rows, dx, dy, n);
+  };
+
+  const leftGrid = makeGrid(w * 0.22, h * 0.5, team0.length);
+  const rightGrid = makeGrid(w * 0.78, h * 0.5, team1.length);
+
+  team0.forEach((idx, k) => {
+    const base = leftGrid[k];
+    pts[idx] = applyJitter(base, k);
+  });
+  team1.forEach((idx, k) => {
+    const base = rightGrid[k];
+    pts[idx] = applyJitter(base, k);
+  });
+
+  return pts;
+}
+
+// Massive battles: each team lines up as one block of ranks on its half, facing the centre.
+// Melee (and orbiting blades) fill the front ranks, then aoe and mine layers, then the
+// shooters, then support, and fighters with the same weapon stay next to each other.
+const FORMATION_ORDER = {
+  melee: 0,
+  orbit: 0,
+  aoe: 1,
+  mine: 1,
+  ranged: 2,
+  beam: 2,
+  boomerang: 2,
+  homing: 2,
+  support: 3
+};
+
+// Clearance between neighbouring balls in a formation (px); armies that don't fit with it
+// close up to CROWDED_SPACING
+const FORMATION_SPACING = 6;
+const CROWDED_SPACING = 1;
+
+function formationSpawnPoints(teams, defs, area, obstacles) {
+  const pts = new Array(teams.length);
+  const sides = [...new Set(teams)].sort((a, b) => a - b);
+
+  sides.forEach((team, side) => {
+    const rankOf = (i) => FORMATION_ORDER[defs[i].type];
+    const members = [];
+    teams.forEach((t, i) => { if (t === team) members.push(i); });
+    members.sort((a, b) => rankOf(a) - rankOf(b) || defs[a].key.localeCompare(defs[b].key) || a - b);
+
+    const n = members.length;
+    const radius = Math.max(...members.map(i => defs[i].radius));
+    const slots = formationSlots(side, radius, n, area, obstacles);
+    if (slots.length < n) {
+      throw new Error(
+        `Team ${team + 1} doesn't fit this arena: there is room for ${slots.length} of its ${n} fighters. ` +
+        "Make the window bigger or the army smaller."
+      );
+    }
+
+    // Fill each rank from the middle out (so a short last rank is centred), then hand the
+    // slots out top to bottom, rank by rank
+    const chosen = slots
+      .sort((a, b) => a.rank - b.rank || a.offset - b.offset || a.y - b.y)
+      .slice(0, n)
+      .sort((a, b) => a.rank - b.rank || a.y - b.y);
+    members.forEach((idx, k) => { pts[idx] = { x: chosen[k].x, y: chosen[k].y }; });
+  });
+  return pts;
+}
+
+// Free formation slots for n balls of the given radius on one side (0 = left half), as
+// { x, y, rank, offset }; fewer than n when the army doesn't fit. Slots sit on a staggered
+// lattice one body width plus the spacing apart (every other rank in the gaps of the one
+// before it), skipping any that would touch an obstacle or the arena boundary, so no two
+// balls start overlapping. The preferred block keeps the proportions of a third of the width
+// by most of the height and grows deeper toward the wall; when that runs out it widens to
+// the full height, moves its front rank up to the centre line, and finally closes up.
+function formationSlots(side, radius, n, area, obstacles) {
+  const dir = side % 2 === 0 ? 1 : -1; // +1 faces right (left half)
+  const cx = area.x + area.w / 2;
+  const cy = area.y + area.h / 2;
+  const rows = Math.min(n, Math.max(1, Math.ceil(Math.sqrt(n * (area.h * 0.86) / (area.w * 0.33)))));
+  const front = area.w * 0.1;
+
+  // phase picks which ranks are shifted by half a pitch; rowCount caps how many slots a
+  // rank holds around the centre line
+  const slotsFor = (spacing, rowCount, frontGap, phase) => {
+    const pitch = radius * 2 + spacing;
+    const rankGap = (pitch * Math.sqrt(3)) / 2;
+    const reach = Math.min(((rowCount - 1) / 2) * pitch + pitch / 4, area.h / 2);
+    const slots = [];
+    for (let rank = 0; ; rank++) {
+      const x = cx - dir * (frontGap + rank * rankGap);
+      if (x - radius < area.x || x + radius > area.x + area.w) break;
+      const shift = (rank + phase) % 2 === 0 ? 0 : pitch / 2;
+      for (let k = Math.ceil((-reach - shift) / pitch); shift + k * pitch <= reach; k++) {
+        const p = { x, y: cy + shift + k * pitch };
+        const clear = pushOutOfObstacles(p, radius, obstacles);
+        if (clear.x !== p.x || clear.y !== p.y || !isInsideArena(p, radius, area)) continue;
+        slots.push({ ...p, rank, offset: Math.abs(p.y - cy) });
+      }
+    }
+    return slots;
+  };
+  // The two front ranks still clear each other at the centre line
+  const layouts = [
+    [FORMATION_SPACING, rows, front],
+    [FORMATION_SPACING, Infinity, front],
+    [FORMATION_SPACING, Infinity, radius + FORMATION_SPACING / 2],
+    [CROWDED_SPACING, Infinity, radius + CROWDED_SPACING / 2]
+  ];
+  let slots = [];
+  for (const [spacing, rowCount, frontGap] of layouts) {
+    for (const phase of [0, 1]) {
+      const candidate = slotsFor(spacing, rowCount, Math.min(front, frontGap), phase);
+      if (candidate.length > slots.length) slots = candidate;
+    }
+    if (slots.length >= n) break;
+  }
+  return slots;
+}
+
+// Spread fighters over a map's spawn zones (world coords). Team modes use the zones tagged
+// with the fighter's team, else untagged zones by team index; free-for-all cycles through
+// every zone. Each zone then lays its fighters out on an evenly spaced grid.
+function zoneSpawnPoints(zones, mode, teams, count) {
+  const indices = zones.map((_, i) => i);
+  const untagged = indices.filter(i => zones[i].team == null);
+  const perTeam = new Map(); // team -> fighters placed so far
+  const members = zones.map(() => []);
+
+  for (let i = 0; i < count; i++) {
+    let zi;
+    if (mode === "ffa") {
+      zi = i % zones.length;
+    } else {
+      const team = teams[i];
+      const k = perTeam.get(team) ?? 0;
+      perTeam.set(team, k + 1);
+      const tagged = indices.filter(j => zones[j].team === team);
+      if (tagged.length > 0) zi = tagged[k % tagged.length];
+      else if (untagged.length > 0) zi = untagged[team % untagged.length];
+      else zi = team % zones.length;
+    }
+    members[zi].push(i);
+  }
+
+  const pts = new Array(count);
+  zones.forEach((z, zi) => {
+    const n = members[zi].length;
+    if (n === 0) return;
+    const cols = Math.max(1, Math.min(n, Math.round(Math.sqrt(n * z.w / z.h))));
+    const rows = Math.ceil(n / cols);
+    const grid = gridPositions(z.x + z.w / 2, z.y + z.h / 2, cols, rows, z.w / cols, z.h / rows, n);
+    members[zi].forEach((idx, k) => { pts[idx] = grid[k]; });
+  });
+  return pts;
+}
+
+// small deterministic jitter so fighters aren't perfectly aligned
+function applyJitter(pt, seedIndex) {
+  const jitterX = ((seedIndex * 37) % 7) - 3; // -3..3
+  const jitterY = ((seedIndex * 59) % 7) - 3;
+  return { x: pt.x + jitterX * 6, y: pt.y + jitterY * 6 };
+}
+
+function gridPositions(cx, cy, cols, rows, dx, dy, n) {
+  const pts = [];
+  const halfCols = (cols - 1) / 2;
+  const halfRows = (rows - 1) / 2;
+  for (let i = 0; i < n; i++) {
+    const row = Math.floor(i / cols);
+    const col = i % cols;
+    const x = cx + (col - halfCols) * dx;
+    const y = cy + (row - halfRows) * dy;
+    pts.push({ x, y });
+  }
+  return pts;
+}
+
+// Where a weapon's orbiting blades are at time `at` around centre
+function bladePositions(def, centre, at) {
+  const blades = [];
+  for (let i = 0; i < def.bladeCount; i++) {
+    const angle = (at / 1000) * def.orbitSpeed + (i * Math.PI * 2) / def.bladeCount;
+    blades.push({ x: centre.x + Math.cos(angle) * def.orbitRadius, y: centre.y + Math.sin(angle) * def.orbitRadius });
+  }
+  return blades;
+}
+
+function midpoint(a, b) {
+  return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
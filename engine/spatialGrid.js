@@ -0,0 +1,115 @@
+/**
+ * Uniform grid for neighbour queries over points (fighters), rebuilt once per step.
+ *
+ * Usage:
+ *   const grid = createSpatialGrid(128);
+ *   grid.rebuild(fighters, f => f.body.position);
+ *   grid.query(x, y, r);              // candidates whose point is within r, in insertion order
+ *   grid.nearest(x, y, accept);       // closest accepted item, ties to the earliest inserted
+ *
+ * Results are ordered exactly like a linear scan over the input list, so swapping a scan
+ * for a grid query never changes a seeded fight.
+ */
+
+export function createSpatialGrid(cellSize = 128) {
+  const cells = new Map(); // "cx,cy" -> [{ item, x, y, order }]
+  let entries = [];
+  let bounds = null;       // { minX, minY, maxX, maxY } in cell coordinates
+
+  const cellOf = (v) => Math.floor(v / cellSize);
+  const keyOf = (cx, cy) => `${cx},${cy}`;
+
+  /**
+   * Replace the contents with items at positionOf(item) -> { x, y }.
+   */
+  function rebuild(items, positionOf) {
+    cells.clear();
+    entries = [];
+    bounds = null;
+    items.forEach((item, order) => {
+      const { x, y } = positionOf(item);
+      const entry = { item, x, y, order };
+      entries.push(entry);
+      const cx = cellOf(x);
+      const cy = cellOf(y);
+      const key = keyOf(cx, cy);
+      let cell = cells.get(key);
+      if (!cell) cells.set(key, (cell = []));
+      cell.push(entry);
+      if (!bounds) bounds = { minX: cx, minY: cy, maxX: cx, maxY: cy };
+      else {
+        bounds.minX = Math.min(bounds.minX, cx);
+        bounds.minY = Math.min(bounds.minY, cy);
+        bounds.maxX = Math.max(bounds.maxX, cx);
+        bounds.maxY = Math.max(bounds.maxY, cy);
+      }
+    });
+  }
+
+  /**
+   * Items whose point lies within r of (x, y), in insertion order.
+   */
+  function query(x, y, r) {
+    if (!bounds) return [];
+    const found = [];
+    const x0 = Math.max(bounds.minX, cellOf(x - r));
+    const x1 = Math.min(bounds.maxX, cellOf(x + r));
+    const y0 = Math.max(bounds.minY, cellOf(y - r));
+    const y1 = Math.min(bounds.maxY, cellOf(y + r));
+    for (let cx = x0; cx <= x1; cx++) {
+      for (let cy = y0; cy <= y1; cy++) {
+        const cell = cells.get(keyOf(cx, cy));
+        if (!cell) continue;
+        for (const e of cell) {
+          if (Math.hypot(e.x - x, e.y - y) <= r) found.push(e);
+        }
+      }
+    }
+    found.sort((a, b) => a.order - b.order);
+    return found.map(e => e.item);
+  }
+
+  /**
+   * Closest item to (x, y) that passes accept(item), or null. Searches rings of cells
+   * outward and stops once no unvisited cell can hold anything closer.
+   * distanceOf(item) must return the exact distance the caller compares with.
+   */
+  function nearest(x, y, accept, distanceOf) {
+    if (!bounds) return null;
+    const cx = cellOf(x);
+    const cy = cellOf(y);
+    const maxRing = Math.max(
+      Math.abs(cx - bounds.minX), Math.abs(cx - bounds.maxX),
+      Math.abs(cy - bounds.minY), Math.abs(cy - bounds.maxY)
+    );
+    let best = null;
+    let bestDist = Infinity;
+    for (let ring = 0; ring <= maxRing; ring++) {
+      // Cells in this ring and beyond are at least (ring - 1) cells away
+      if (best && bestDist < (ring - 1) * cellSize) break;
+      for (let gx = cx - ring; gx <= cx + ring; gx++) {
+        for (let gy = cy - ring; gy <= cy + ring; gy++) {
+          if (Math.max(Math.abs(gx - cx), Math.abs(gy - cy)) !== ring) continue;
+          const cell = cells.get(keyOf(gx, gy));
+          if (!cell) continue;
+          for (const e of cell) {
+            if (!accept(e.item)) continue;
+            const d = distanceOf(e.item);
+            if (d < bestDist || (d === bestDist && e.order < best.order)) {
+              best = e;
+              bestDist = d;
+            }
+          }
+        }
+      }
+    }
+    return best ? best.item : null;
+  }
+
+  return {
+    rebuild,
+    query,
+    nearest,
+    size: () => entries.length
+  };
+}
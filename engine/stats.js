@@ -0,0 +1,139 @@
+/**
+ * Per-fighter match statistics built purely from combat events (engine/events.js).
+ * Works with anything exposing on(eventName, handler): the game, a simulation, or an emitter.
+ *
+ * Usage:
+ *   const stats = createStatsTracker(game);
+ *   game.on("matchEnd", () => console.log(stats.getReport()));
+ *
+ * Report shape:
+ * {
+ *   duration, winner,
+ *   fighters: [{
+ *     id, team, name, weapon, color, maxHp, alive,
+ *     damageDealt, damageTaken, kills, healingDone,
+ *     projectilesFired, projectileHits, hitRate,   // hitRate is null if nothing was fired
+ *     weaponDamage, collisionDamage,               // split of damageDealt
+ *     timeSurvived,                                // ms; match duration for survivors
+ *     hpSeries: [[time, hp], ...]                  // one point per HP change
+ *   }]
+ * }
+ */
+
+export function createStatsTracker(source) {
+  let fighters = new Map(); // id -> stats entry
+  let duration = 0;
+  let winner = null;
+
+  function entry(id) {
+    return fighters.get(id) ?? null;
+  }
+
+  source.on("matchStart", ({ time, fighters: list }) => {
+    fighters = new Map();
+    duration = 0;
+    winner = null;
+    for (const f of list) {
+      fighters.set(f.id, {
+        id: f.id,
+        team: f.team,
+        name: f.name,
+        weapon: f.weapon,
+        color: f.color,
+        maxHp: f.maxHp,
+        alive: true,
+        damageDealt: 0,
+        damageTaken: 0,
+        kills: 0,
+        healingDone: 0,
+        projectilesFired: 0,
+        projectileHits: 0,
+        weaponDamage: 0,
+        collisionDamage: 0,
+        diedAt: null,
+        hpSeries: [[time, f.maxHp]]
+      });
+    }
+  });
+
+  source.on("damage", ({ time, attackerId, targetId, amount, cause, targetHp }) => {
+    const target = entry(targetId);
+    if (target) {
+      target.damageTaken += amount;
+      target.hpSeries.push([time, targetHp]);
+    }
+    const attacker = entry(attackerId);
+    if (attacker) {
+      attacker.damageDealt += amount;
+      if (cause === "collision") attacker.collisionDamage += amount;
+      else attacker.weaponDamage += amount;
+    }
+  });
+
+  source.on("heal", ({ time, healerId, targetId, amount, targetHp }) => {
+    const target = entry(targetId);
+    if (target) target.hpSeries.push([time, targetHp]);
+    const healer = entry(healerId);
+    if (healer) healer.healingDone += amount;
+  });
+
+  source.on("death", ({ time, fighterId, killerId }) => {
+    const dead = entry(fighterId);
+    if (dead) {
+      dead.alive = false;
+      dead.diedAt = time;
+    }
+    const killer = entry(killerId);
+    if (killer && killer.id !== fighterId) killer.kills++;
+  });
+
+  source.on("projectileFired", ({ ownerId }) => {
+    const owner = entry(ownerId);
+    if (owner) owner.projectilesFired++;
+  });
+
+  // A shot counts once however many enemies it pierced (boomerangs hit and fly on)
+  source.on("projectileExpired", ({ ownerId, hits }) => {
+    const owner = entry(ownerId);
+    if (owner && hits > 0) owner.projectileHits++;
+  });
+
+  source.on("matchEnd", ({ time, winner: text }) => {
+    duration = time;
+    winner = text;
+    // Close every HP line at the end of the match so the chart spans the whole fight
+    for (const f of fighters.values()) {
+      const last = f.hpSeries[f.hpSeries.length - 1];
+      if (f.alive && last[0] < time) f.hpSeries.push([time, last[1]]);
+    }
+  });
+
+  function getReport() {
+    return {
+      duration,
+      winner,
+      fighters: [...fighters.values()].map(f => ({
+        id: f.id,
+        team: f.team,
+        name: f.name,
+        weapon: f.weapon,
+        color: f.color,
+        maxHp: f.maxHp,
+        alive: f.alive,
+        damageDealt: f.damageDealt,
+        damageTaken: f.damageTaken,
+        kills: f.kills,
+        healingDone: f.healingDone,
+        projectilesFired: f.projectilesFired,
+        projectileHits: f.projectileHits,
+        hitRate: f.projectilesFired ? f.projectileHits / f.projectilesFired : null,
+        weaponDamage: f.weaponDamage,
+        collisionDamage: f.collisionDamage,
+        timeSurvived: f.alive ? duration : f.diedAt,
+        hpSeries: f.hpSeries.map(p => p.slice())
+      }))
+    };
+  }
+
+  return { getReport };
+}
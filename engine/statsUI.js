@@ -0,0 +1,134 @@
+/**
+ * Post-match statistics in the winner overlay: per-fighter table and HP-over-time chart.
+ *
+ * Usage:
+ *   import { initStatsUI } from "./engine/statsUI.js";
+ *   const statsUI = initStatsUI();
+ *   statsUI.show(report); // report from engine/stats.js
+ */
+
+export function initStatsUI() {
+  const rootEl = document.getElementById("matchStats");
+  const tableEl = document.getElementById("statsTable");
+  const chartEl = document.getElementById("hpChart");
+
+  function show(report) {
+    if (!report || report.fighters.length === 0) {
+      clear();
+      return;
+    }
+    rootEl.hidden = false;
+    renderTable(report);
+    drawChart(report);
+  }
+
+  function clear() {
+    rootEl.hidden = true;
+    tableEl.innerHTML = "";
+  }
+
+  function renderTable(report) {
+    const columns = [
+      ["Fighter", null],
+      ["Dealt", f => f.damageDealt],
+      ["Taken", f => f.damageTaken],
+      ["Kills", f => f.kills],
+      ["Healed", f => f.healingDone],
+      ["Shots", f => f.projectilesFired ? `${f.projectileHits}/${f.projectilesFired} (${Math.round(f.hitRate * 100)}%)` : "—"],
+      ["Weapon / Collision", f => `${f.weaponDamage} / ${f.collisionDamage}`],
+      ["Survived", f => f.alive ? "Alive" : `${(f.timeSurvived / 1000).toFixed(1)}s`]
+    ];
+
+    tableEl.innerHTML = "";
+    const head = document.createElement("tr");
+    for (const [title] of columns) {
+      const th = document.createElement("th");
+      th.textContent = title;
+      head.appendChild(th);
+    }
+    tableEl.appendChild(head);
+
+    // Survivors first, then by damage dealt
+    const rows = report.fighters.slice().sort((a, b) =>
+      (b.alive - a.alive) || (b.damageDealt - a.damageDealt));
+
+    for (const f of rows) {
+      const tr = document.createElement("tr");
+      if (!f.alive) tr.className = "dead";
+      for (const [, value] of columns) {
+        const td = document.createElement("td");
+        if (!value) {
+          const swatch = document.createElement("span");
+          swatch.className = "stats-swatch";
+          swatch.style.background = f.color;
+          td.appendChild(swatch);
+          td.appendChild(document.createTextNode(`${f.name} (T${f.team + 1})`));
+        } else {
+          td.textContent = String(value(f));
+        }
+        tr.appendChild(td);
+      }
+      tableEl.appendChild(tr);
+    }
+  }
+
+  function drawChart(report) {
+    const dpr = window.devicePixelRatio || 1;
+    const rect = chartEl.getBoundingClientRect();
+    const w = Math.max(200, Math.floor(rect.width || 560));
+    const h = Math.max(100, Math.floor(rect.height || 160));
+    chartEl.width = Math.floor(w * dpr);
+    chartEl.height = Math.floor(h * dpr);
+    const ctx = chartEl.getContext("2d");
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, w, h);
+
+    const pad = { l: 34, r: 8, t: 8, b: 20 };
+    const plotW = w - pad.l - pad.r;
+    const plotH = h - pad.t - pad.b;
+    const maxT = Math.max(1, report.duration);
+    const maxHp = Math.max(1, ...report.fighters.map(f => f.maxHp));
+    const x = (t) => pad.l + (t / maxT) * plotW;
+    const y = (hp) => pad.t + plotH - (hp / maxHp) * plotH;
+
+    // Axes + grid
+    ctx.strokeStyle = "rgba(148, 163, 184, 0.18)";
+    ctx.fillStyle = "rgba(215, 222, 232, 0.7)";
+    ctx.font = "10px ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Arial";
+    ctx.lineWidth = 1;
+    for (let i = 0; i <= 4; i++) {
+      const hp = (maxHp * i) / 4;
+      const gy = Math.round(y(hp)) + 0.5;
+      ctx.beginPath();
+      ctx.moveTo(pad.l, gy);
+      ctx.lineTo(w - pad.r, gy);
+      ctx.stroke();
+      ctx.textAlign = "right";
+      ctx.fillText(String(Math.round(hp)), pad.l - 4, gy + 3);
+    }
+    ctx.textAlign = "center";
+    ctx.fillText("0s", pad.l, h - 6);
+    ctx.fillText(`${(maxT / 1000).toFixed(0)}s`, w - pad.r - 10, h - 6);
+
+    // One step line per fighter (HP holds until the next change)
+    for (const f of report.fighters) {
+      const pts = f.hpSeries;
+      if (pts.length === 0) continue;
+      ctx.strokeStyle = f.color;
+      ctx.globalAlpha = f.alive ? 1 : 0.6;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(x(pts[0][0]), y(pts[0][1]));
+      for (let i = 1; i < pts.length; i++) {
+        ctx.lineTo(x(pts[i][0]), y(pts[i - 1][1]));
+        ctx.lineTo(x(pts[i][0]), y(pts[i][1]));
+      }
+      ctx.stroke();
+    }
+    ctx.globalAlpha = 1;
+  }
+
+  clear();
+
+  return { show, clear };
+}
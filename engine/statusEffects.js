@@ -0,0 +1,170 @@
+/**
+ * Status effects on fighters: damage over time (burn, poison, bleed), slow, stun, and the
+ * buffs support weapons cast on allies (shield, empower, haste, fortify). This module holds
+ * the rules and the per-fighter bookkeeping; engine/simulation.js applies the results (tick
+ * damage goes through its single damage path, slow/stun/haste through the cruise speed,
+ * stun through the AI step).
+ *
+ * Weapons declare what they apply on a hit (engine/weapons.js `onHit`), and support weapons
+ * the buffs they cast (`buffs`):
+ *   onHit: [{ effect: "slow", durationMs: 1500, value: 0.6, chance: 1 }, ...]
+ * value is per effect: damage per tick (burn, poison, bleed), cruise speed multiplier
+ * (slow, haste), absorbed damage (shield), attack power multiplier (empower), fraction of
+ * incoming damage prevented (fortify); stun takes none.
+ *
+ * Stacking rules:
+ * - refresh: one instance; reapplying restarts the duration and keeps the stronger value
+ * - stack:   independent instances up to maxStacks; a full stack replaces the oldest
+ * - add:     one instance whose value adds up to maxValue; reapplying restarts the duration
+ *
+ * A fighter's statuses are a plain array of { effect, value, until, nextTickAt, source }.
+ */
+
+export const STATUS_EFFECTS = {
+  burn: { stacking: "refresh", tickMs: 500, min: 1, max: 50, color: "#f97316" },
+  poison: { stacking: "stack", maxStacks: 5, tickMs: 1000, min: 1, max: 50, color: "#84cc16" },
+  bleed: { stacking: "stack", maxStacks: 3, tickMs: 500, min: 1, max: 50, color: "#dc2626" },
+  slow: { stacking: "refresh", min: 0.1, max: 0.95, color: "#38bdf8" },
+  stun: { stacking: "refresh", color: "#facc15" },
+  shield: { stacking: "add", maxValue: 300, min: 1, max: 300, color: "#93c5fd", buff: true },
+  empower: { stacking: "refresh", min: 1.05, max: 3, color: "#fb7185", buff: true },
+  haste: { stacking: "refresh", min: 1.05, max: 2, color: "#2dd4bf", buff: true },
+  fortify: { stacking: "refresh", min: 0.05, max: 0.8, color: "#e5e7eb", buff: true }
+};
+
+/** Effect names, in the order recordings encode them (new effects go at the end). */
+export const STATUS_EFFECT_KINDS = Object.keys(STATUS_EFFECTS);
+
+/** Effects a support weapon can cast on allies as buffs. */
+export const BUFF_EFFECTS = STATUS_EFFECT_KINDS.filter(k => STATUS_EFFECTS[k].buff);
+
+/** Cruise speed multiplier while stunned (the ball drifts but can't steer or attack). */
+export const STUN_SPEED = 0.3;
+
+/** Accepted durations for an applied effect (ms). */
+export const STATUS_DURATION_LIMITS = [100, 20000];
+
+/**
+ * Add an effect ({ effect, durationMs, value }) to a fighter's status list, following its
+ * stacking rule. source is attribution data for tick damage (or null).
+ */
+export function applyStatus(statuses, { effect, durationMs, value = 0 }, now, source = null) {
+  const rule = STATUS_EFFECTS[effect];
+  const until = now + durationMs;
+  const existing = statuses.find(s => s.effect === effect);
+  if (rule.stacking === "refresh" && existing) {
+    existing.until = until;
+    // A slow is stronger the lower its multiplier
+    existing.value = effect === "slow" ? Math.min(existing.value, value) : Math.max(existing.value, value);
+    existing.source = source;
+    return;
+  }
+  if (rule.stacking === "add" && existing) {
+    existing.until = until;
+    existing.value = Math.min(rule.maxValue, existing.value + value);
+    return;
+  }
+  if (rule.stacking === "stack") {
+    const stacks = statuses.filter(s => s.effect === effect);
+    if (stacks.length >= rule.maxStacks) statuses.splice(statuses.indexOf(stacks[0]), 1);
+  }
+  statuses.push({
+    effect,
+    value: rule.stacking === "add" ? Math.min(rule.maxValue, value) : value,
+    until,
+    nextTickAt: rule.tickMs ? now + rule.tickMs : null,
+    source
+  });
+}
+
+/**
+ * Drop expired effects and return the tick damage due at `now`:
+ * [{ effect, amount, source }], one entry per instance that ticked.
+ */
+export function tickStatuses(statuses, now) {
+  const due = [];
+  for (let i = statuses.length - 1; i >= 0; i--) {
+    const s = statuses[i];
+    const rule = STATUS_EFFECTS[s.effect];
+    // A tick that lands exactly on the end still counts
+    while (rule.tickMs && s.nextTickAt <= Math.min(now, s.until)) {
+      due.push({ effect: s.effect, amount: s.value, source: s.source });
+      s.nextTickAt += rule.tickMs;
+    }
+    if (now >= s.until) statuses.splice(i, 1);
+  }
+  return due.reverse();
+}
+
+/**
+ * Cruise speed multiplier from slow, haste, and stun (1 when none is active).
+ */
+export function statusSpeedMultiplier(statuses, now) {
+  let k = 1;
+  for (const s of statuses) {
+    if (now >= s.until) continue;
+    if (s.effect === "slow" || s.effect === "haste") k *= s.value;
+    else if (s.effect === "stun") k *= STUN_SPEED;
+  }
+  return k;
+}
+
+/** Attack power multiplier from empower (1 without it). */
+export function attackMultiplier(statuses, now) {
+  const empower = activeStatus(statuses, "empower", now);
+  return empower ? empower.value : 1;
+}
+
+/** Share of incoming damage that still lands after fortify (1 without it). */
+export function damageTakenMultiplier(statuses, now) {
+  const fortify = activeStatus(statuses, "fortify", now);
+  return fortify ? 1 - fortify.value : 1;
+}
+
+export function isStunned(statuses, now) {
+  return hasStatus(statuses, "stun", now);
+}
+
+export function hasStatus(statuses, effect, now) {
+  return activeStatus(statuses, effect, now) !== null;
+}
+
+function activeStatus(statuses, effect, now) {
+  return statuses.find(s => s.effect === effect && now < s.until) ?? null;
+}
+
+/**
+ * Let shields soak up damage. Returns { amount, absorbed }: the damage that gets through
+ * and how much the shields took. Depleted shields are removed.
+ */
+export function absorbDamage(statuses, amount, now) {
+  let left = amount;
+  for (let i = 0; i < statuses.length && left > 0; i++) {
+    const s = statuses[i];
+    if (s.effect !== "shield" || now >= s.until) continue;
+    const taken = Math.min(s.value, left);
+    s.value -= taken;
+    left -= taken;
+  }
+  for (let i = statuses.length - 1; i >= 0; i--) {
+    if (statuses[i].effect === "shield" && statuses[i].value <= 0) statuses.splice(i, 1);
+  }
+  return { amount: left, absorbed: amount - left };
+}
+
+/**
+ * Plain-data view of the active effects, one entry per effect name:
+ * [{ effect, stacks, value, remainingMs }] (value is summed over stacks).
+ */
+export function summarizeStatuses(statuses, now) {
+  const byEffect = new Map();
+  for (const s of statuses) {
+    if (now >= s.until) continue;
+    const entry = byEffect.get(s.effect) ?? { effect: s.effect, stacks: 0, value: 0, remainingMs: 0 };
+    entry.stacks++;
+    entry.value += s.value;
+    entry.remainingMs = Math.max(entry.remainingMs, s.until - now);
+    byEffect.set(s.effect, entry);
+  }
+  return STATUS_EFFECT_KINDS.filter(k => byEffect.has(k)).map(k => byEffect.get(k));
+}
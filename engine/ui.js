@@ -3,23 +3,44 @@
  *
  * Usage:
  *   import { initUI } from "./engine/ui.js";
- *   const ui = initUI({ weaponsList, onStart, onReplay, onBack, onOptionsChange });
+ *   const ui = initUI({ weaponsList, mapsList, onStart, onReplay, onWatchReplay, onBack, onOptionsChange, onTogglePause, onStepOnce, onImportMap, onSelectionChange, getArmyCapacity });
+ *
+ * getArmyCapacity({ armies, map, shape }) returns how many fighters each massive army has
+ * room for in that arena ([team 1, team 2]), or null when unknown.
  *
  * This module only manipulates DOM controls already present in index.html.
  */
 
+import { normalizeSeed } from "./random.js";
+
+// Starting army sizes for massive mode, by team (weapon key -> count)
+const DEFAULT_ARMIES = [{ sword: 30 }, { bow: 20 }];
+
 export function initUI({
   weaponsList = [],
+  mapsList = [],
   onStart = () => {},
   onReplay = () => {},
+  onWatchReplay = () => {},
   onBack = () => {},
   onOptionsChange = () => {},
+  onTogglePause = () => {},
+  onStepOnce = () => {},
+  onImportMap = () => {},
+  onSelectionChange = () => {},
+  getArmyCapacity = () => null,
   maxSelectable = 8
 } = {}) {
+  const fightersPanelEl = document.getElementById("fightersPanel");
   const fightersListEl = document.getElementById("fightersList");
+  const armyPanelEl = document.getElementById("armyPanel");
+  const armyListEl = document.getElementById("armyList");
+  const armyCountEl = document.getElementById("armyCount");
   const selectedCountEl = document.getElementById("selectedCount");
   const startBtn = document.getElementById("startBtn");
   const restartBtn = document.getElementById("restartBtn");
+  const pauseBtn = document.getElementById("pauseBtn");
+  const stepBtn = document.getElementById("stepBtn");
   const overlay = document.getElementById("overlay");
   const winnerText = document.getElementById("winnerText");
   const replayBtn = document.getElementById("replayBtn");
@@ -27,7 +48,21 @@ export function initUI({
   const timeScaleEl = document.getElementById("timeScale");
   const toggleHPEl = document.getElementById("toggleHP");
   const toggleDamageEl = document.getElementById("toggleDamage");
+  const toggleDebugEl = document.getElementById("toggleDebug");
+  const togglePerfEl = document.getElementById("togglePerf");
+  const classicBounceEl = document.getElementById("toggleClassicBounce");
+  const seedInputEl = document.getElementById("seedInput");
+  const matchSeedEl = document.getElementById("matchSeed");
   const modeEls = Array.from(document.querySelectorAll('input[name="mode"]'));
+  const mapSelectEl = document.getElementById("mapSelect");
+  const mapDescriptionEl = document.getElementById("mapDescription");
+  const shapeSelectEl = document.getElementById("shapeSelect");
+  const hazardEls = Array.from(document.querySelectorAll("[data-hazard]"));
+  const strategySelectEl = document.getElementById("strategySelect");
+  const tacticSelectEl = document.getElementById("tacticSelect");
+  const teamTacticEls = Array.from(document.querySelectorAll("[data-team]"));
+  const importMapBtn = document.getElementById("importMapBtn");
+  const mapFileEl = document.getElementById("mapFile");
 
   let selected = []; // array of weapon keys in selection order
 
@@ -66,12 +101,24 @@ export function initUI({
         <div class="stat">HP: ${w.hp}</div>
         <div class="stat">ATK: ${w.attackPower ?? 0}</div>
         <div class="stat">SPD: ${w.speed ?? 0}</div>
+        <div class="stat">AGI: ${w.agility ?? "-"}</div>
         <div class="stat">CD: ${w.attackCooldown ?? 0}ms</div>
       `;
 
       el.appendChild(top);
-      el.appendChild(stats);
+      // Definitions that fail the weapon schema are shown with the reason and can't be picked
+      if (w.error) {
+        el.classList.add("invalid");
+        el.title = w.error;
+        const error = document.createElement("div");
+        error.className = "fighter-error";
+        error.textContent = `Invalid: ${w.error}`;
+        el.appendChild(error);
+      } else {
+        el.appendChild(stats);
+      }
 
+      if (selected.includes(w.key)) el.classList.add("selected");
       el.addEventListener("click", () => toggleSelect(w.key, el));
 
       fightersListEl.appendChild(el);
@@ -79,7 +126,83 @@ export function initUI({
     updateSelectedCount();
   }
 
+  // Massive mode: one row per weapon with a count input per team (data-army / data-key).
+  // Counts already typed in survive a re-render (e.g. after a custom weapon is saved).
+  function renderArmyRows() {
+    const armies = armyListEl.children.length > 0 ? getArmies() : DEFAULT_ARMIES;
+    armyListEl.innerHTML = "";
+    for (const text of ["Weapon", "Team 1", "Team 2"]) {
+      const head = document.createElement("div");
+      head.className = "army-head";
+      head.textContent = text;
+      armyListEl.appendChild(head);
+    }
+    for (const w of weaponsList) {
+      if (w.error) continue;
+      const label = document.createElement("div");
+      label.className = "army-weapon";
+      const swatch = document.createElement("div");
+      swatch.className = "fighter-swatch";
+      swatch.style.background = w.color;
+      const name = document.createElement("span");
+      name.textContent = w.name;
+      label.appendChild(swatch);
+      label.appendChild(name);
+      armyListEl.appendChild(label);
+
+      armies.forEach((army, team) => {
+        const input = document.createElement("input");
+        input.type = "number";
+        input.min = "0";
+        input.step = "1";
+        input.value = String(army[w.key] ?? 0);
+        input.dataset.army = String(team);
+        input.dataset.key = w.key;
+        input.setAttribute("aria-label", `Team ${team + 1} ${w.name} count`);
+        input.addEventListener("input", updateArmyCount);
+        armyListEl.appendChild(input);
+      });
+    }
+    updateArmyCount();
+  }
+
+  // Counts per weapon for each team: [{ weaponKey: count }, { ... }]. Blank or zero
+  // counts are left out; anything else is passed on as typed for the simulation to check.
+  function getArmies() {
+    const armies = [{}, {}];
+    for (const el of armyListEl.querySelectorAll("[data-army]")) {
+      const count = Number(el.value.trim() || 0);
+      if (count !== 0) armies[Number(el.dataset.army)][el.dataset.key] = count;
+    }
+    return armies;
+  }
+
+  // Army sizes plus the room each army has in the chosen arena, flagged when one won't fit
+  function updateArmyCount() {
+    const armies = getArmies();
+    const [a, b] = armies.map(army => Object.values(army).reduce((s, n) => s + (n > 0 ? n : 0), 0));
+    const room = getMode() === "massive"
+      ? getArmyCapacity({ armies, map: mapSelectEl.value || null, shape: shapeSelectEl.value || null })
+      : null;
+    armyCountEl.textContent = room
+      ? `${a} vs ${b} fighters (room for ${room[0]} vs ${room[1]})`
+      : `${a} vs ${b} fighters`;
+    armyCountEl.classList.toggle("over-capacity", !!room && (a > room[0] || b > room[1]));
+  }
+
+  // Massive mode swaps the fighter cards for the army counts
+  function updateModePanels() {
+    const massive = getMode() === "massive";
+    fightersPanelEl.hidden = massive;
+    armyPanelEl.hidden = !massive;
+    if (massive) updateArmyCount();
+  }
+
   function toggleSelect(key, el) {
+    if (el.classList.contains("invalid")) {
+      el.animate([{ transform: "translateX(-3px)" }, { transform: "translateX(3px)" }, { transform: "translateX(0)" }], { duration: 180 });
+      return;
+    }
     const idx = selected.indexOf(key);
     if (idx >= 0) {
       // deselect
@@ -99,6 +222,7 @@ export function initUI({
 
   function updateSelectedCount() {
     selectedCountEl.textContent = `${selected.length} selected`;
+    onSelectionChange(getSelectedRoster());
   }
 
   function getSelectedRoster() {
@@ -110,18 +234,87 @@ export function initUI({
     return checked?.value ?? "ffa";
   }
 
+  function renderMapOptions(selectKey = mapSelectEl.value) {
+    mapSelectEl.innerHTML = "";
+    for (const m of mapsList) {
+      const opt = document.createElement("option");
+      opt.value = m.key;
+      opt.textContent = m.custom ? `${m.name} (custom)` : m.name;
+      mapSelectEl.appendChild(opt);
+    }
+    if (mapsList.some(m => m.key === selectKey)) mapSelectEl.value = selectKey;
+    updateMapDescription();
+  }
+
+  function updateMapDescription() {
+    const meta = mapsList.find(m => m.key === mapSelectEl.value);
+    mapDescriptionEl.textContent = meta?.description ?? "";
+  }
+
+  /**
+   * Replace the map list (e.g. after importing one) and optionally select a map.
+   */
+  function setMaps(list, selectKey) {
+    mapsList = list;
+    renderMapOptions(selectKey);
+    updateArmyCount();
+  }
+
+  // Hazard settings from the Options panel (engine/hazards.js config shape).
+  // Inputs carry data-hazard / data-field, and data-scale for seconds -> ms.
+  function getHazards() {
+    const config = {};
+    for (const el of hazardEls) {
+      const hazard = (config[el.dataset.hazard] ??= {});
+      if (el.type === "checkbox") {
+        hazard[el.dataset.field] = el.checked;
+      } else if (el.value.trim() !== "") {
+        hazard[el.dataset.field] = Number(el.value) * Number(el.dataset.scale ?? 1);
+      }
+    }
+    return config;
+  }
+
+  // Targeting settings from the Tactics panel (engine/ai.js resolveTactics shape).
+  // Per-team overrides only apply in team modes; in FFA every fighter is its own team.
+  function getTactics(mode) {
+    const tactics = { strategy: strategySelectEl.value, tactic: tacticSelectEl.value, teams: [] };
+    if (mode === "ffa") return tactics;
+    for (const el of teamTacticEls) {
+      if (!el.value) continue; // "Same as above"
+      const team = (tactics.teams[Number(el.dataset.team)] ??= {});
+      team[el.dataset.field] = el.value;
+    }
+    return tactics;
+  }
+
+  // Blank seed field means "pick a random seed for each battle"
+  function getSeed() {
+    const raw = seedInputEl?.value.trim() ?? "";
+    return raw ? normalizeSeed(raw) : undefined;
+  }
+
   function startClicked() {
     const mode = getMode();
     const roster = getSelectedRoster();
+    const seed = getSeed();
+    const map = mapSelectEl.value || null;
+    const shape = shapeSelectEl.value || null; // null keeps the map's own shape
+    const hazards = getHazards();
+    const movement = classicBounceEl?.checked ? "classic" : "steer";
+    const tactics = getTactics(mode);
+    // Massive armies are expanded and checked by main.js (simulation armyRoster)
+    const armies = mode === "massive" ? getArmies() : null;
     // Basic validation
-    if (roster.length < 2) {
+    if (!armies && roster.length < 2) {
       alert("Select at least 2 fighters to start the battle.");
       return;
     }
     // In team modes, require even number or at least 2 teams - but keep loose: auto assignment will handle it.
+    // onStart returns false when it rejects the settings
+    if (onStart({ mode, roster, armies, seed, map, shape, hazards, movement, tactics }) === false) return;
     startBtn.disabled = true;
     restartBtn.disabled = false;
-    onStart({ mode, roster });
   }
 
   function restartClicked() {
@@ -130,7 +323,7 @@ export function initUI({
 
   function replayClicked() {
     hideOverlay();
-    onReplay();
+    onWatchReplay();
   }
 
   function backClicked() {
@@ -138,8 +331,9 @@ export function initUI({
     onBack();
   }
 
-  function showOverlay(text) {
+  function showOverlay(text, result = null) {
     if (winnerText) winnerText.textContent = text;
+    if (matchSeedEl) matchSeedEl.textContent = result?.seed != null ? `Seed ${result.seed}` : "";
     if (overlay) overlay.hidden = false;
   }
 
@@ -152,6 +346,22 @@ export function initUI({
     restartBtn.addEventListener("click", restartClicked);
     replayBtn.addEventListener("click", replayClicked);
     backBtn.addEventListener("click", backClicked);
+    pauseBtn.addEventListener("click", () => onTogglePause());
+    stepBtn.addEventListener("click", () => onStepOnce());
+
+    // Keyboard: Space = pause/resume, "." = step one tick (ignored while typing)
+    document.addEventListener("keydown", (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      const tag = e.target?.tagName;
+      if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT" || e.target?.isContentEditable) return;
+      if (e.code === "Space") {
+        e.preventDefault();
+        onTogglePause();
+      } else if (e.key === ".") {
+        e.preventDefault();
+        onStepOnce();
+      }
+    });
 
     timeScaleEl.addEventListener("change", () => {
       const v = parseFloat(timeScaleEl.value || "1");
@@ -164,11 +374,25 @@ export function initUI({
     toggleDamageEl.addEventListener("change", () => {
       onOptionsChange({ showDamage: !!toggleDamageEl.checked });
     });
+    mapSelectEl.addEventListener("change", updateMapDescription);
+    mapSelectEl.addEventListener("change", updateArmyCount);
+    shapeSelectEl.addEventListener("change", updateArmyCount);
+    importMapBtn.addEventListener("click", () => mapFileEl.click());
+    mapFileEl.addEventListener("change", async () => {
+      const file = mapFileEl.files?.[0];
+      mapFileEl.value = "";
+      if (!file) return;
+      onImportMap(await file.text(), file.name);
+    });
+
+    toggleDebugEl.addEventListener("change", () => {
+      onOptionsChange({ showDebug: !!toggleDebugEl.checked });
+    });
+    togglePerfEl.addEventListener("change", () => {
+      onOptionsChange({ showPerf: !!togglePerfEl.checked });
+    });
 
-    // allow clicking mode radios to show/hide constraints in future
-    modeEls.forEach(m => m.addEventListener("change", () => {
-      // Could add mode-specific UI hints here
-    }));
+    modeEls.forEach(m => m.addEventListener("change", updateModePanels));
   }
 
   function resetSelection() {
@@ -180,25 +404,41 @@ export function initUI({
     restartBtn.disabled = true;
   }
 
+  function setPaused(paused) {
+    pauseBtn.textContent = paused ? "Resume" : "Pause";
+    pauseBtn.classList.toggle("primary", paused);
+    pauseBtn.classList.toggle("secondary", !paused);
+  }
+
   // Exposed API for main.js to control UI
   const api = {
     showOverlay,
     hideOverlay,
+    setPaused,
+    setMaps,
     resetSelection,
     setWinnerText: (t) => {
       if (winnerText) winnerText.textContent = t;
     },
     setWeaponsList: (list) => {
       weaponsList = list;
+      // Keep the selection, minus weapons that no longer exist or are invalid
+      selected = selected.filter(key => list.some(w => w.key === key && !w.error));
       renderFighterCards();
+      renderArmyRows();
     },
     getSelection: () => getSelectedRoster(),
+    // Re-check the armies' room, e.g. after the arena was resized
+    updateArmyCount,
     setMaxSelectable: (n) => { maxSelectable = n; }
   };
 
   // Initialize
   renderFighterCards();
+  renderArmyRows();
+  renderMapOptions();
   attachControls();
+  updateModePanels();
 
   return api;
 }
@@ -0,0 +1,221 @@
+/**
+ * Weapon Editor panel: clone a weapon or start a new one, edit every field with live
+ * validation, and hand the result to main.js to save, delete, export, or import.
+ *
+ * Usage:
+ *   import { initWeaponEditorUI } from "./engine/weaponEditorUI.js";
+ *   const editor = initWeaponEditorUI({ weaponsList, onSave, onDelete, onExport, onImportFile });
+ *   editor.setWeapons(listWeapons(), key);   // after the weapon list changes
+ *
+ * Built-in weapons open as a copy with a new key; custom weapons open as themselves, so
+ * saving overwrites them. Form inputs carry data-weapon-field, type-specific groups
+ * data-weapon-type with the space-separated types they apply to. Effect lists (onHit,
+ * buffs) are edited as JSON in textareas, true/false fields as checkboxes.
+ */
+
+import { getWeaponDef, getCustomWeaponData, validateWeapon } from "./weapons.js";
+
+// Starting point for "New Weapon"
+const NEW_WEAPON = {
+  key: "",
+  name: "New Weapon",
+  type: "melee",
+  color: "#38bdf8",
+  hp: 100,
+  radius: 30,
+  speed: 7,
+  agility: 0.5,
+  attackPower: 5,
+  attackCooldown: 800,
+  range: 30,
+  knockback: 0.01
+};
+
+// Filled into empty type-specific fields when the type changes
+const TYPE_DEFAULTS = {
+  ranged: { projectileSpeed: 0.03, projectileRadius: 5 },
+  aoe: { aoeRadius: 90, aoeForce: 0.02 },
+  support: { healAmount: 10 },
+  beam: { beamDurationMs: 1200, beamTickMs: 100, beamWidth: 6 },
+  boomerang: { projectileSpeed: 0.032, projectileRadius: 7 },
+  homing: { projectileSpeed: 0.022, projectileRadius: 5, homingTurn: 0.06 },
+  mine: { aoeRadius: 60, aoeForce: 0.02, mineTriggerRadius: 36, mineArmMs: 600, maxMines: 5 },
+  orbit: { bladeCount: 3, orbitRadius: 48, bladeRadius: 8, orbitSpeed: 4 }
+};
+
+export function initWeaponEditorUI({
+  weaponsList = [],
+  onSave = () => {},
+  onDelete = () => {},
+  onExport = () => {},
+  onImportFile = () => {}
+} = {}) {
+  const selectEl = document.getElementById("weaponSelect");
+  const statusEl = document.getElementById("weaponStatus");
+  const saveBtn = document.getElementById("weaponSaveBtn");
+  const newBtn = document.getElementById("weaponNewBtn");
+  const exportBtn = document.getElementById("weaponExportBtn");
+  const importBtn = document.getElementById("weaponImportBtn");
+  const deleteBtn = document.getElementById("weaponDeleteBtn");
+  const fileEl = document.getElementById("weaponFile");
+  const fieldEls = Array.from(document.querySelectorAll("[data-weapon-field]"));
+  const groupEls = Array.from(document.querySelectorAll("[data-weapon-type]"));
+  const typeEl = fieldEls.find(el => el.dataset.weaponField === "type");
+
+  let weapons = weaponsList;
+
+  function renderOptions(selectKey = selectEl.value) {
+    selectEl.innerHTML = "";
+    for (const w of weapons) {
+      const opt = document.createElement("option");
+      opt.value = w.key;
+      opt.textContent = w.custom ? `${w.name} (custom)` : w.name;
+      selectEl.appendChild(opt);
+    }
+    if (weapons.some(w => w.key === selectKey)) selectEl.value = selectKey;
+  }
+
+  // Open a weapon in the editor; built-in ones become a copy under a free key. An invalid
+  // custom weapon opens as saved, with its problems marked.
+  function openWeapon(key) {
+    let def;
+    try {
+      def = getWeaponDef(key);
+    } catch (e) {
+      const saved = getCustomWeaponData(key);
+      if (saved) fillFields({ ...saved, key });
+      else setStatus(e.message, true); // an invalid built-in has to be fixed in engine/weapons.js
+      return;
+    }
+    if (!def) return;
+    const custom = weapons.find(w => w.key === key)?.custom;
+    if (!custom) {
+      let copyKey = `${def.key}-copy`;
+      for (let n = 2; weapons.some(w => w.key === copyKey); n++) copyKey = `${def.key}-copy-${n}`;
+      def.key = copyKey;
+      def.name = `${def.name} Copy`;
+    }
+    fillFields(def);
+  }
+
+  function fillFields(def) {
+    for (const el of fieldEls) {
+      const v = def[el.dataset.weaponField];
+      if (el.type === "checkbox") el.checked = v === true;
+      else el.value = v == null ? "" : typeof v === "object" ? JSON.stringify(v) : String(v);
+    }
+    updateTypeGroups();
+    validateFields();
+  }
+
+  function updateTypeGroups() {
+    for (const el of groupEls) el.hidden = !el.dataset.weaponType.split(" ").includes(typeEl.value);
+  }
+
+  // Definition from the form: blank numbers and effects are left out, hidden type groups
+  // ignored. Effects text that isn't JSON is passed on as-is so validation reports it.
+  function readFields() {
+    const data = {};
+    for (const el of fieldEls) {
+      if (el.closest("[data-weapon-type]")?.hidden) continue;
+      const field = el.dataset.weaponField;
+      if (el.tagName === "TEXTAREA") {
+        const text = el.value.trim();
+        if (text !== "") data[field] = parseJson(text);
+      } else if (el.type === "checkbox") {
+        data[field] = el.checked;
+      } else if (el.type === "number") {
+        if (el.value.trim() !== "") data[field] = Number(el.value);
+      } else {
+        data[field] = el.value.trim();
+      }
+    }
+    return data;
+  }
+
+  // Live validation: marks every offending field and shows the messages. Returns the
+  // normalized definition, or null while the form is invalid.
+  function validateFields() {
+    for (const el of fieldEls) el.removeAttribute("aria-invalid");
+    try {
+      const def = validateWeapon(readFields());
+      setStatus("Valid");
+      return def;
+    } catch (e) {
+      for (const { field } of e.problems ?? []) {
+        fieldEls.find(el => el.dataset.weaponField === field)?.setAttribute("aria-invalid", "true");
+      }
+      setStatus(e.message, true);
+      return null;
+    }
+  }
+
+  /**
+   * Replace the weapon list (after a save, delete, or import) and optionally open one.
+   */
+  function setWeapons(list, selectKey) {
+    weapons = list;
+    renderOptions(selectKey);
+    if (selectKey) openWeapon(selectKey);
+  }
+
+  function parseJson(text) {
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      return text;
+    }
+  }
+
+  function setStatus(text, isError = false) {
+    statusEl.textContent = text;
+    statusEl.title = text;
+    statusEl.classList.toggle("error", isError);
+  }
+
+  function attachControls() {
+    selectEl.addEventListener("change", () => openWeapon(selectEl.value));
+    for (const el of fieldEls) el.addEventListener("input", validateFields);
+    typeEl.addEventListener("change", () => {
+      const defaults = TYPE_DEFAULTS[typeEl.value] ?? {};
+      for (const el of fieldEls) {
+        const v = defaults[el.dataset.weaponField];
+        if (v != null && el.value.trim() === "") el.value = String(v);
+      }
+      updateTypeGroups();
+      validateFields();
+    });
+    newBtn.addEventListener("click", () => fillFields(NEW_WEAPON));
+    saveBtn.addEventListener("click", () => {
+      if (validateFields()) onSave(readFields());
+    });
+    exportBtn.addEventListener("click", () => {
+      const def = validateFields();
+      if (def) onExport(def);
+    });
+    deleteBtn.addEventListener("click", () => {
+      const key = fieldEls.find(el => el.dataset.weaponField === "key").value.trim();
+      if (!weapons.some(w => w.key === key && w.custom)) {
+        setStatus("Only saved custom weapons can be deleted", true);
+        return;
+      }
+      onDelete(key);
+    });
+    importBtn.addEventListener("click", () => fileEl.click());
+    fileEl.addEventListener("change", async () => {
+      const file = fileEl.files?.[0];
+      fileEl.value = "";
+      if (!file) return;
+      onImportFile(await file.text(), file.name);
+    });
+  }
+
+  renderOptions();
+  if (weapons.length > 0) openWeapon(weapons[0].key);
+  attachControls();
+
+  return {
+    setWeapons,
+    setStatus
+  };
+}
@@ -1,26 +1,178 @@
 /**
  * Weapon and fighter definitions (data-driven).
- * Add new entries here to expand the roster.
+ * Add new entries here to expand the roster, or build custom weapons at runtime
+ * (Weapon Editor, see registerWeapon); listWeapons/getWeaponDef cover both.
  *
  * Common fields:
  * - key: unique id
  * - name: display name
- * - type: 'melee' | 'ranged' | 'aoe' | 'support'
+ * - type: 'melee' | 'ranged' | 'aoe' | 'support' | 'beam' | 'boomerang' | 'homing' | 'mine' | 'orbit'
  * - color: render color of the ball
  * - hp: base health points
  * - radius: visual/physics radius (px)
  * - speed: constant cruise velocity in the zero-gravity arena
+ * - agility: how sharply the ball turns toward where its AI wants to go, 0..1
+ *   (only used by the "steer" movement model; defaults to 0.5)
  * - attackPower: damage per attack
  * - attackCooldown: ms between attacks
  * - range: preferred range (for aiming/behavior), also used for melee reach
  * - knockback: applied on hit (force magnitude scalar)
+ * - onHit: status effects applied to whoever the attack hits (optional; support weapons
+ *   apply them to the ally they heal), e.g. [{ effect: "slow", durationMs: 1500, value: 0.6 }].
+ *   chance (0..1, default 1) rolls per hit. See engine/statusEffects.js for the effects.
  *
  * Type-specific fields:
- * - ranged: projectileSpeed, projectileRadius
+ * - ranged: projectileSpeed, projectileRadius, projectileSpeedPx (optional, px per step;
+ *   overrides projectileSpeed), plus the shot and pierce modifiers below
  * - aoe: aoeRadius, aoeForce
- * - support: healAmount, buff multipliers (optional)
+ * - beam: beamDurationMs, beamTickMs, beamWidth (a ray to the target that deals attackPower
+ *   every beamTickMs to the first enemy it touches, for beamDurationMs per attack)
+ * - boomerang: projectileSpeed, projectileRadius (flies out to range and back, hitting every
+ *   enemy once per leg; one volley in flight at a time), plus the shot modifiers
+ * - homing: projectileSpeed, projectileRadius, homingTurn (max turn toward the target, radians
+ *   per step), plus the shot and pierce modifiers
+ * - mine: aoeRadius, aoeForce, mineTriggerRadius, mineArmMs, maxMines (drops a proximity mine
+ *   every attackCooldown; it blasts for attackPower once armed and an enemy comes near)
+ * - orbit: bladeCount, orbitRadius, bladeRadius, orbitSpeed (blades circle the ball at
+ *   orbitRadius from its centre, orbitSpeed radians per second, and hit on contact;
+ *   attackCooldown is the delay before the same enemy can be cut again)
+ * - support: healAmount, buffs (optional timed buffs cast on an ally instead of a heal,
+ *   same format as onHit, e.g. [{ effect: "empower", durationMs: 4000, value: 1.3 }]:
+ *   empower multiplies attack power, haste cruise speed, fortify cuts damage taken by a
+ *   fraction, and shield absorbs damage before HP; the AI picks heal or buff per cast)
+ *
+ * Shot modifiers (ranged, boomerang, homing):
+ * - projectileCount, spreadDeg: shots per attack, fanned evenly across spreadDeg degrees
+ * - projectileLifeMs: how long a shot flies before it expires
+ * - splashRadius, splashFalloff: every enemy hit also blasts the enemies within splashRadius
+ *   of the impact for attackPower, losing up to splashFalloff (0..1) of it toward the edge
+ *   (0 radius: no splash; splash applies no onHit effects)
+ * - interceptsProjectiles: the shot destroys enemy shots it touches and keeps flying
+ * Pierce modifiers (ranged, homing):
+ * - pierce: enemies a shot passes through before the next hit stops it
+ * - maxBounces: wall and obstacle bounces before a shot is destroyed (0: the first wall
+ *   stops it; it splashes there)
+ *
+ * WEAPON_SCHEMA declares which fields each type takes, their ranges, and the defaults of
+ * optional fields. Every definition (built-in, imported, or edited) goes through
+ * validateWeapon; getWeaponDef only hands out validated definitions with defaults filled in.
  */
 
+import { STATUS_EFFECTS, STATUS_EFFECT_KINDS, BUFF_EFFECTS, STATUS_DURATION_LIMITS } from "./statusEffects.js";
+
+// ============ Schema ============
+
+// Field rules shared by every type. kind: 'number' | 'string' | 'key' | 'color' | 'type' |
+// 'boolean' | 'effects' (a list of status effects, limited to `effects` when given).
+// Numbers with `integer` must be whole.
+// Required fields must be present; optional ones take `default` when missing (or stay unset
+// if they have none).
+const COMMON_FIELDS = {
+  key: { kind: "key" },              // derived from name when missing
+  name: { kind: "string", required: true },
+  type: { kind: "type", required: true },
+  color: { kind: "color", required: true },
+  hp: { kind: "number", min: 1, max: 5000, required: true },
+  radius: { kind: "number", min: 8, max: 80, default: 16 },
+  speed: { kind: "number", min: 0.5, max: 30, default: 7 },
+  agility: { kind: "number", min: 0, max: 1, default: 0.5 },
+  attackPower: { kind: "number", min: 0, max: 500, required: true },
+  attackCooldown: { kind: "number", min: 50, max: 10000, default: 1000 },
+  range: { kind: "number", min: 0, max: 1000, required: true },
+  knockback: { kind: "number", min: 0, max: 0.2, default: 0.01 },
+  onHit: { kind: "effects" }
+};
+
+// Shot modifiers of every projectile type
+const SHOT_FIELDS = {
+  projectileCount: { kind: "number", min: 1, max: 12, integer: true, default: 1 },
+  spreadDeg: { kind: "number", min: 0, max: 180, default: 0 },
+  projectileLifeMs: { kind: "number", min: 100, max: 10000, default: 4000 },
+  splashRadius: { kind: "number", min: 0, max: 300, default: 0 },
+  splashFalloff: { kind: "number", min: 0, max: 1, default: 0.5 },
+  interceptsProjectiles: { kind: "boolean", default: false }
+};
+
+// Modifiers of projectiles that collide with fighters and walls (not the boomerang sensor)
+const PIERCE_FIELDS = {
+  pierce: { kind: "number", min: 0, max: 20, integer: true, default: 0 },
+  maxBounces: { kind: "number", min: 0, max: 50, integer: true, default: 3 }
+};
+
+/** Field rules per weapon type (COMMON_FIELDS plus the type's own). */
+export const WEAPON_SCHEMA = {
+  melee: schemaFor({
+    attackCooldown: { default: 800 },
+    knockback: { default: 0.012 }
+  }),
+  ranged: schemaFor({
+    attackCooldown: { default: 900 },
+    projectileSpeed: { kind: "number", min: 0.001, max: 0.2, required: true },
+    projectileSpeedPx: { kind: "number", min: 0.5, max: 60 },
+    projectileRadius: { kind: "number", min: 1, max: 30, default: 4 },
+    ...SHOT_FIELDS,
+    ...PIERCE_FIELDS
+  }),
+  aoe: schemaFor({
+    attackCooldown: { default: 1400 },
+    aoeRadius: { kind: "number", min: 10, max: 600, required: true },
+    aoeForce: { kind: "number", min: 0, max: 0.2, default: 0.02 }
+  }),
+  support: schemaFor({
+    attackCooldown: { default: 1200 },
+    knockback: { default: 0.006 },
+    healAmount: { kind: "number", min: 0, max: 500, required: true },
+    buffs: { kind: "effects", effects: BUFF_EFFECTS }
+  }),
+  beam: schemaFor({
+    attackCooldown: { default: 2400 },
+    knockback: { default: 0.002 },
+    beamDurationMs: { kind: "number", min: 100, max: 10000, default: 1200 },
+    beamTickMs: { kind: "number", min: 50, max: 2000, default: 100 },
+    beamWidth: { kind: "number", min: 1, max: 40, default: 6 }
+  }),
+  boomerang: schemaFor({
+    attackCooldown: { default: 900 },
+    projectileSpeed: { kind: "number", min: 0.001, max: 0.2, required: true },
+    projectileRadius: { kind: "number", min: 1, max: 30, default: 7 },
+    ...SHOT_FIELDS
+  }),
+  homing: schemaFor({
+    attackCooldown: { default: 1800 },
+    projectileSpeed: { kind: "number", min: 0.001, max: 0.2, required: true },
+    projectileRadius: { kind: "number", min: 1, max: 30, default: 5 },
+    homingTurn: { kind: "number", min: 0.005, max: 0.5, default: 0.06 },
+    ...SHOT_FIELDS,
+    ...PIERCE_FIELDS,
+    maxBounces: { ...PIERCE_FIELDS.maxBounces, default: 0 } // missiles burst on walls
+  }),
+  mine: schemaFor({
+    attackCooldown: { default: 1500 },
+    aoeRadius: { kind: "number", min: 10, max: 600, required: true },
+    aoeForce: { kind: "number", min: 0, max: 0.2, default: 0.02 },
+    mineTriggerRadius: { kind: "number", min: 5, max: 300, default: 36 },
+    mineArmMs: { kind: "number", min: 0, max: 10000, default: 600 },
+    maxMines: { kind: "number", min: 1, max: 50, integer: true, default: 5 }
+  }),
+  orbit: schemaFor({
+    attackCooldown: { default: 500 },
+    bladeCount: { kind: "number", min: 1, max: 8, integer: true, default: 3 },
+    orbitRadius: { kind: "number", min: 10, max: 300, default: 48 },
+    bladeRadius: { kind: "number", min: 2, max: 40, default: 8 },
+    orbitSpeed: { kind: "number", min: 0.5, max: 20, default: 4 }
+  })
+};
+
+/** Weapon types understood by the simulation and AI. */
+export const WEAPON_TYPES = Object.keys(WEAPON_SCHEMA);
+
+function schemaFor(own) {
+  const fields = {};
+  for (const [name, rule] of Object.entries(COMMON_FIELDS)) fields[name] = { ...rule, ...own[name] };
+  for (const [name, rule] of Object.entries(own)) fields[name] ??= rule;
+  return fields;
+}
+
 export const weapons = {
   sword: {
     key: "sword",
@@ -30,6 +182,7 @@ export const weapons = {
     hp: 110,
     radius: 30,
     speed: 7.2,
+    agility: 0.7,
     attackPower: 5,
     attackCooldown: 650,
     range: 28, // melee touch distance
@@ -44,10 +197,12 @@ export const weapons = {
     hp: 95,
     radius: 28,
     speed: 8.3,
+    agility: 0.8,
     attackPower: 4,
     attackCooldown: 480,
     range: 34,
-    knockback: 0.012
+    knockback: 0.012,
+    onHit: [{ effect: "bleed", durationMs: 1500, value: 1, chance: 0.3 }]
   },
 
   hammer: {
@@ -58,6 +213,7 @@ export const weapons = {
     hp: 135,
     radius: 34,
     speed: 6.2,
+    agility: 0.4,
     attackPower: 7,
     attackCooldown: 900,
     range: 28,
@@ -72,11 +228,15 @@ export const weapons = {
     hp: 85,
     radius: 28,
     speed: 7,
+    agility: 0.6,
     attackPower: 4,
     attackCooldown: 900,
     range: 240,
     projectileSpeed: 0.035,
     projectileRadius: 5,
+    pierce: 1, // an arrow goes through the first enemy
+    maxBounces: 0, // and sticks in walls
+    projectileLifeMs: 2000,
     knockback: 0.01
   },
 
@@ -88,11 +248,16 @@ export const weapons = {
     hp: 100,
     radius: 30,
     speed: 7.6,
-    attackPower: 3,
-    attackCooldown: 220,
+    agility: 0.65,
+    attackPower: 2, // per bolt
+    attackCooldown: 260,
     range: 200,
     projectileSpeed: 0.028,
     projectileRadius: 4,
+    projectileCount: 2, // twin bolts
+    spreadDeg: 10,
+    maxBounces: 3, // bolts ricochet around the room
+    projectileLifeMs: 1500,
     knockback: 0.006
   },
 
@@ -104,12 +269,14 @@ export const weapons = {
     hp: 95,
     radius: 30,
     speed: 6.8,
+    agility: 0.5,
     attackPower: 5,
     attackCooldown: 1400,
     range: 120, // tries to keep some distance
     aoeRadius: 90,
     aoeForce: 0.02,
-    knockback: 0.02
+    knockback: 0.02,
+    onHit: [{ effect: "slow", durationMs: 1500, value: 0.6 }]
   },
 
   healer: {
@@ -120,10 +287,15 @@ export const weapons = {
     hp: 90,
     radius: 28,
     speed: 7.4,
+    agility: 0.75,
     attackPower: 0,
     attackCooldown: 1200, // heal cooldown
     range: 180,
     healAmount: 12,
+    buffs: [
+      { effect: "empower", durationMs: 4000, value: 1.3 },
+      { effect: "shield", durationMs: 4000, value: 10 }
+    ],
     knockback: 0.004
   },
 
@@ -135,37 +307,369 @@ export const weapons = {
     hp: 125,
     radius: 34,
     speed: 5.8,
+    agility: 0.35,
     attackPower: 7,
     attackCooldown: 1400,
     range: 260,
     projectileSpeed: 0.04,
     projectileRadius: 6,
+    splashRadius: 70,
+    splashFalloff: 0.6,
+    interceptsProjectiles: true, // cannonballs eat incoming shots
+    maxBounces: 1,
+    projectileLifeMs: 3000,
     knockback: 0.02
+  },
+
+  laser: {
+    key: "laser",
+    name: "Laser",
+    type: "beam",
+    color: "#06b6d4",
+    hp: 90,
+    radius: 28,
+    speed: 7,
+    agility: 0.6,
+    attackPower: 1, // per beam tick
+    attackCooldown: 2000,
+    range: 230,
+    beamDurationMs: 1400,
+    beamTickMs: 100,
+    beamWidth: 5,
+    knockback: 0.002
+  },
+
+  boomerang: {
+    key: "boomerang",
+    name: "Boomerang",
+    type: "boomerang",
+    color: "#84cc16",
+    hp: 100,
+    radius: 29,
+    speed: 7.4,
+    agility: 0.65,
+    attackPower: 6,
+    attackCooldown: 900,
+    range: 180,
+    projectileSpeed: 0.032,
+    projectileRadius: 7,
+    knockback: 0.012
+  },
+
+  missiles: {
+    key: "missiles",
+    name: "Missile Pod",
+    type: "homing",
+    color: "#f97316",
+    hp: 95,
+    radius: 30,
+    speed: 6.6,
+    agility: 0.5,
+    attackPower: 8,
+    attackCooldown: 1800,
+    range: 300,
+    projectileSpeed: 0.022,
+    projectileRadius: 5,
+    homingTurn: 0.07,
+    splashRadius: 40,
+    knockback: 0.015
+  },
+
+  mines: {
+    key: "mines",
+    name: "Mine Layer",
+    type: "mine",
+    color: "#14b8a6",
+    hp: 105,
+    radius: 30,
+    speed: 7.8,
+    agility: 0.7,
+    attackPower: 10,
+    attackCooldown: 1500,
+    range: 160, // flees enemies closer than this
+    aoeRadius: 60,
+    aoeForce: 0.02,
+    mineTriggerRadius: 36,
+    mineArmMs: 700,
+    maxMines: 5,
+    knockback: 0.01
+  },
+
+  blades: {
+    key: "blades",
+    name: "Blade Orbit",
+    type: "orbit",
+    color: "#ec4899",
+    hp: 115,
+    radius: 30,
+    speed: 7,
+    agility: 0.7,
+    attackPower: 3,
+    attackCooldown: 500, // before the same enemy can be cut again
+    range: 20,
+    bladeCount: 3,
+    orbitRadius: 50,
+    bladeRadius: 8,
+    orbitSpeed: 4,
+    knockback: 0.008
   }
 };
 
+// Weapons created or imported at runtime (see registerWeapon), already validated
+const customWeapons = {};
+
+// Saved custom weapons that no longer validate (see restoreWeapon): key -> { data, error }.
+// They are listed as invalid and stored as they were, so nothing the user saved is lost.
+const invalidCustomWeapons = {};
+
+// Validation result per built-in key: { def, error }, checked on first use
+const builtInChecks = new Map();
+
+function checkWeapon(key) {
+  if (key in customWeapons) return { def: customWeapons[key], error: null };
+  if (key in invalidCustomWeapons) return { def: null, error: invalidCustomWeapons[key].error };
+  if (!(key in weapons)) return null;
+  if (!builtInChecks.has(key)) {
+    try {
+      builtInChecks.set(key, { def: validateWeapon(weapons[key]), error: null });
+    } catch (e) {
+      builtInChecks.set(key, { def: null, error: e });
+    }
+  }
+  return builtInChecks.get(key);
+}
+
 /**
- * Lightweight meta for UI.
+ * Lightweight meta for UI. error is null, or why the definition can't be used (the
+ * fighter grid shows such weapons as invalid).
  */
 export function listWeapons() {
-  return Object.values(weapons).map(w => ({
+  return Object.keys({ ...weapons, ...customWeapons, ...invalidCustomWeapons }).map(key => {
+    const { def, error } = checkWeapon(key);
+    return weaponMeta(def ?? { ...(weapons[key] ?? invalidCustomWeapons[key].data), key }, error);
+  });
+}
+
+function weaponMeta(w, error) {
+  return {
     key: w.key,
-    name: w.name,
+    name: typeof w.name === "string" ? w.name : w.key, // an invalid saved weapon may lack one
     type: w.type,
     color: w.color,
     hp: w.hp,
     speed: w.speed,
+    agility: w.agility ?? null,
     attackPower: w.attackPower,
     attackCooldown: w.attackCooldown,
-    range: w.range ?? null
-  }));
+    range: w.range ?? null,
+    custom: w.key in customWeapons || w.key in invalidCustomWeapons,
+    error: error ? error.message : null
+  };
 }
 
 /**
- * Convenience for external modules to get by key with a safe clone.
+ * Convenience for external modules to get by key with a safe clone of the validated
+ * definition (defaults filled in). Returns null for an unknown key and throws a readable
+ * Error if the definition is invalid.
  */
 export function getWeaponDef(key) {
-  const def = weapons[key];
-  if (!def) return null;
-  return JSON.parse(JSON.stringify(def));
+  const checked = checkWeapon(key);
+  if (!checked) return null;
+  if (checked.error) throw new Error(`Weapon "${key}" is invalid: ${checked.error.message}`);
+  return JSON.parse(JSON.stringify(checked.def));
+}
+
+// ============ Custom weapons ============
+
+/**
+ * Add or replace a custom weapon (validated with validateWeapon first).
+ * Custom weapons never replace a built-in one; a clashing key gets a suffix.
+ * Returns the key the weapon was stored under.
+ */
+export function registerWeapon(data) {
+  const def = validateWeapon(data);
+  let key = def.key;
+  for (let n = 2; key in weapons; n++) key = `${def.key}-${n}`;
+  customWeapons[key] = { ...def, key };
+  delete invalidCustomWeapons[key]; // a fixed copy replaces the broken one
+  return key;
+}
+
+/**
+ * Add a saved custom weapon. A definition that no longer validates (e.g. saved before a
+ * schema change) is kept as-is and listed with its error instead of being dropped.
+ * Returns { key, error }: error is null for a usable weapon.
+ */
+export function restoreWeapon(data) {
+  try {
+    return { key: registerWeapon(data), error: null };
+  } catch (error) {
+    const name = typeof data?.name === "string" ? data.name : "";
+    const base = typeof data?.key === "string" && data.key.trim() ? data.key.trim() : slug(name);
+    let key = base;
+    for (let n = 2; key in weapons || key in customWeapons || key in invalidCustomWeapons; n++) key = `${base}-${n}`;
+    invalidCustomWeapons[key] = { data: JSON.parse(JSON.stringify(data)), error };
+    return { key, error };
+  }
+}
+
+/**
+ * The stored definition of a custom weapon as it was saved, valid or not (null for
+ * built-in and unknown keys). Lets the editor open an invalid weapon to fix it.
+ */
+export function getCustomWeaponData(key) {
+  const data = customWeapons[key] ?? invalidCustomWeapons[key]?.data;
+  return data === undefined ? null : JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * Remove a custom weapon. Built-in weapons can't be removed.
+ */
+export function removeWeapon(key) {
+  if (!(key in customWeapons) && !(key in invalidCustomWeapons)) throw new Error(`${key} is not a custom weapon`);
+  delete customWeapons[key];
+  delete invalidCustomWeapons[key];
+}
+
+/**
+ * Full definitions of every custom weapon, e.g. for saving or sharing. Invalid ones are
+ * included as they were saved.
+ */
+export function listCustomWeapons() {
+  return [...Object.values(customWeapons), ...Object.values(invalidCustomWeapons).map(w => w.data)]
+    .map(def => JSON.parse(JSON.stringify(def)));
+}
+
+/**
+ * Parse weapon JSON (one definition or an array of them) and validate each.
+ * Throws an Error with a readable message if any entry is not a usable weapon.
+ */
+export function parseWeapons(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error("Weapon file is not valid JSON: " + e.message);
+  }
+  const list = Array.isArray(data) ? data : [data];
+  if (list.length === 0) throw new Error("Weapon file has no weapons");
+  return list.map((d, i) => {
+    try {
+      return validateWeapon(d);
+    } catch (e) {
+      throw new Error(list.length > 1 ? `Weapon ${i + 1}: ${e.message}` : e.message);
+    }
+  });
+}
+
+/**
+ * Validate a weapon definition against WEAPON_SCHEMA and return a normalized copy: schema
+ * fields only, in schema order, with defaults filled in. Throws one Error listing every
+ * problem; error.problems holds them as [{ field, message }] and error.field names the first.
+ */
+export function validateWeapon(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw weaponError([{ field: null, message: "Weapon must be a JSON object" }]);
+  }
+  if (!WEAPON_TYPES.includes(data.type)) {
+    throw weaponError([{ field: "type", message: `type must be one of: ${WEAPON_TYPES.join(", ")}` }]);
+  }
+  const schema = WEAPON_SCHEMA[data.type];
+  const problems = [];
+  const def = {};
+
+  for (const [field, rule] of Object.entries(schema)) {
+    let v = data[field];
+    if (field === "key" && (v == null || v === "") && typeof data.name === "string") v = slug(data.name);
+    if (v == null) {
+      if (rule.required) problems.push({ field, message: `${field} is required for ${data.type} weapons` });
+      else if (rule.default != null) def[field] = rule.default;
+      continue;
+    }
+    const message = checkField(field, rule, v);
+    if (message) problems.push({ field, message });
+    else if (rule.kind === "effects") def[field] = v.map(normalizeEffect);
+    else def[field] = typeof v === "string" ? v.trim() : v;
+  }
+
+  // Typos like attackCoolDown would otherwise be ignored and give default stats
+  for (const field of Object.keys(data)) {
+    if (field in schema) continue;
+    const like = Object.keys(schema).find(f => f.toLowerCase() === field.toLowerCase());
+    const owner = like ? null : WEAPON_TYPES.find(t => field in WEAPON_SCHEMA[t]);
+    problems.push({
+      field,
+      message: like
+        ? `unknown field ${field} (did you mean ${like}?)`
+        : owner ? `${field} only applies to ${owner} weapons` : `unknown field ${field}`
+    });
+  }
+
+  if (problems.length > 0) throw weaponError(problems);
+  return def;
+}
+
+function checkField(field, rule, v) {
+  if (rule.kind === "number") {
+    if (typeof v !== "number" || !Number.isFinite(v)) return `${field} must be a number`;
+    if (v < rule.min || v > rule.max) return `${field} must be between ${rule.min} and ${rule.max} (got ${v})`;
+    if (rule.integer && !Number.isInteger(v)) return `${field} must be a whole number (got ${v})`;
+  } else if (rule.kind === "string" || rule.kind === "key") {
+    if (typeof v !== "string" || !v.trim()) return `${field} must be a non-empty string`;
+    if (rule.kind === "key" && !/^[a-z0-9][a-z0-9_-]*$/.test(v)) {
+      return `${field} must use lowercase letters, digits, - and _`;
+    }
+  } else if (rule.kind === "boolean") {
+    if (typeof v !== "boolean") return `${field} must be true or false`;
+  } else if (rule.kind === "color") {
+    if (typeof v !== "string" || !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(v)) {
+      return `${field} must be a hex colour like #ef4444`;
+    }
+  } else if (rule.kind === "effects") {
+    if (!Array.isArray(v)) {
+      return `${field} must be a list like [{ "effect": "slow", "durationMs": 1500, "value": 0.6 }]`;
+    }
+    for (let i = 0; i < v.length; i++) {
+      const message = checkEffect(v[i], rule.effects ?? STATUS_EFFECT_KINDS);
+      if (message) return `${field} entry ${i + 1}: ${message}`;
+    }
+  }
+  return null;
+}
+
+function checkEffect(e, allowed) {
+  if (!e || typeof e !== "object" || Array.isArray(e)) return "must be an object";
+  if (!allowed.includes(e.effect)) return `effect must be one of: ${allowed.join(", ")}`;
+  const rule = STATUS_EFFECTS[e.effect];
+  const unknown = Object.keys(e).find(k => !["effect", "durationMs", "value", "chance"].includes(k));
+  if (unknown) return `unknown field ${unknown}`;
+  const [minMs, maxMs] = STATUS_DURATION_LIMITS;
+  if (typeof e.durationMs !== "number" || !(e.durationMs >= minMs && e.durationMs <= maxMs)) {
+    return `durationMs must be between ${minMs} and ${maxMs}`;
+  }
+  if (e.effect === "stun") {
+    if (e.value != null) return "stun takes no value";
+  } else if (typeof e.value !== "number" || !(e.value >= rule.min && e.value <= rule.max)) {
+    return `${e.effect} value must be between ${rule.min} and ${rule.max}`;
+  }
+  if (e.chance != null && (typeof e.chance !== "number" || !(e.chance > 0 && e.chance <= 1))) {
+    return "chance must be above 0 and at most 1";
+  }
+  return null;
+}
+
+function normalizeEffect(e) {
+  const { effect, durationMs, value, chance = 1 } = e;
+  return effect === "stun" ? { effect, durationMs, chance } : { effect, durationMs, value, chance };
+}
+
+function weaponError(problems) {
+  const error = new Error(problems.map(p => p.message).join("; "));
+  error.field = problems[0].field;
+  error.problems = problems;
+  return error;
+}
+
+function slug(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "custom";
 }
@@ -1,18 +1,64 @@
-import { listWeapons } from "./engine/weapons.js";
+import { listWeapons, registerWeapon, restoreWeapon, removeWeapon, listCustomWeapons, parseWeapons } from "./engine/weapons.js";
+import { listMaps, getMap, parseMap, registerMap } from "./engine/maps.js";
 import { initUI } from "./engine/ui.js";
 import { createGame } from "./engine/gameLoop.js";
+import { initReplayUI } from "./engine/replayUI.js";
+import { parseRecording, serializeRecording } from "./engine/recording.js";
+import { downloadText } from "./engine/download.js";
+import { initLabUI } from "./engine/labUI.js";
+import { createStatsTracker } from "./engine/stats.js";
+import { initStatsUI } from "./engine/statsUI.js";
+import { initInspectorUI } from "./engine/inspectorUI.js";
+import { initScriptUI } from "./engine/scriptUI.js";
+import { initWeaponEditorUI } from "./engine/weaponEditorUI.js";
+import { listScripts, saveScript } from "./engine/scriptBrain.js";
+import { armyRoster } from "./engine/simulation.js";
+import { runWeaponMatchups, runCompositionMatchups, matchupsToCsv } from "./engine/matchups.js";
 
 /**
  * Application bootstrap.
  * Wires UI <-> Game loop and handles options.
  */
 
+// localStorage key for weapons made in the Weapon Editor
+const WEAPON_STORAGE_KEY = "xy-ball-fight.customWeapons";
+
+// Register custom weapons saved by an earlier visit. Entries that no longer validate stay
+// registered as invalid (the fighter grid marks them, the editor can fix them, and they are
+// stored again as they were); returns a message for each of them.
+function loadStoredWeapons() {
+  let stored;
+  try {
+    stored = JSON.parse(localStorage.getItem(WEAPON_STORAGE_KEY) ?? "[]");
+  } catch (e) {
+    return [];
+  }
+  if (!Array.isArray(stored)) return [];
+  const invalid = [];
+  for (const def of stored) {
+    const { key, error } = restoreWeapon(def);
+    if (error) invalid.push(`Saved weapon ${key} is invalid: ${error.message}`);
+  }
+  return invalid;
+}
+
+// Returns false if the browser refused (private mode, quota)
+function storeWeapons() {
+  try {
+    localStorage.setItem(WEAPON_STORAGE_KEY, JSON.stringify(listCustomWeapons()));
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
 function boot() {
   const canvas = document.getElementById("gameCanvas");
 
-  // Responsive canvas sizing (attempt to match CSS layout)
+  // Responsive canvas sizing: fill the arena container (the canvas itself carries a fixed
+  // inline size after the first call, so measure its parent)
   function resizeCanvas() {
-    const rect = canvas.getBoundingClientRect();
+    const rect = (canvas.parentElement ?? canvas).getBoundingClientRect();
     // Use devicePixelRatio for crisp rendering on hi-dpi
     const dpr = window.devicePixelRatio || 1;
     const w = Math.max(300, Math.floor(rect.width));
@@ -24,15 +70,14 @@ function boot() {
     // Scale context
     const ctx = canvas.getContext("2d");
     ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-    // Note: physics world bounds are static for this demo (set at init).
-    // If you resize the window, reload the page to rebuild physics bounds for best results.
   }
 
   // initial size BEFORE creating the game so physics/playArea use correct canvas size
   resizeCanvas();
 
-  // Prepare weapons list for UI
-  const weaponsList = listWeapons();
+  // Prepare weapons list for UI (built-in plus custom weapons saved in this browser)
+  const invalidWeapons = loadStoredWeapons();
+  let weaponsList = listWeapons();
 
   // Create game instance (after canvas is sized)
   const game = createGame({
@@ -40,48 +85,293 @@ function boot() {
     options: {
       showHPBars: true,
       showDamage: true,
+      showDebug: false,
+      showPerf: false,
       timeScale: 1
     },
     callbacks: {
-      onWin: (winnerText) => {
-        ui.showOverlay(winnerText);
+      onWin: (winnerText, result) => {
+        ui.showOverlay(winnerText, result);
         ui.setWinnerText(winnerText);
+        statsUI.show(stats.getReport());
+      },
+      onPlaybackUpdate: (info) => replayUI.update(info),
+      onPauseChange: (paused) => ui.setPaused(paused),
+      onInspect: (details) => inspector.show(details),
+      onScriptError: (message) => scriptUI.setStatus(message)
+    }
+  });
+
+  // Debug inspector: click a fighter while the battle is paused
+  const inspector = initInspectorUI({
+    onClose: () => game.clearInspection()
+  });
+  canvas.addEventListener("click", (e) => {
+    if (!game.isPaused()) return;
+    const rect = canvas.getBoundingClientRect();
+    game.inspectAt(e.clientX - rect.left, e.clientY - rect.top);
+  });
+
+  // Post-match statistics, collected from combat events
+  const stats = createStatsTracker(game);
+  const statsUI = initStatsUI();
+
+  // Replay timeline (recorded matches and loaded files)
+  const replayUI = initReplayUI({
+    onTogglePlay: () => game.togglePlayback(),
+    onSeek: (frame) => game.seekPlayback(frame),
+    onStep: (delta) => game.stepPlayback(delta),
+    onSpeedChange: (speed) => game.setPlaybackSpeed(speed),
+    onExport: () => {
+      const recording = game.getPlaybackRecording();
+      if (!recording) return;
+      downloadText(`xy-fight-${recording.mode}-${recording.seed}.json`, serializeRecording(recording));
+    },
+    onLoad: (text) => {
+      let recording;
+      try {
+        recording = parseRecording(text);
+      } catch (e) {
+        alert(e.message);
+        return;
       }
+      ui.hideOverlay();
+      game.playRecording(recording);
+      replayUI.show();
+    },
+    onClose: () => {
+      game.stop();
+      replayUI.hide();
     }
   });
 
+  // Bot scripts: user-written brains assigned to roster slots (engine/scriptBrain.js).
+  // Created before the main UI, which reports the initial selection straight away.
+  function storeScript(script) {
+    let name;
+    try {
+      name = saveScript(script);
+    } catch (e) {
+      alert(e.message);
+      return;
+    }
+    scriptUI.setScripts(listScripts(), name);
+    scriptUI.setStatus(`Saved "${name}"`);
+  }
+  const scriptUI = initScriptUI({
+    scriptsList: listScripts(),
+    onSave: storeScript,
+    onLoadFile: (text, fileName) => storeScript({ name: fileName.replace(/\.[^.]+$/, ""), code: text })
+  });
+
+  // Weapon editor: custom weapons are registered in engine/weapons.js, kept in
+  // localStorage, and show up in the fighter grid straight away
+  function refreshWeapons(selectKey) {
+    weaponsList = listWeapons();
+    ui.setWeaponsList(weaponsList);
+    weaponEditor.setWeapons(weaponsList, selectKey);
+  }
+  function saveWeapons(defs, message) {
+    let keys;
+    try {
+      keys = defs.map(def => registerWeapon(def));
+    } catch (e) {
+      alert(e.message);
+      return;
+    }
+    refreshWeapons(keys[keys.length - 1]);
+    weaponEditor.setStatus(storeWeapons() ? message(keys) : "Saved for this session only (browser storage unavailable)");
+  }
+  const weaponEditor = initWeaponEditorUI({
+    weaponsList,
+    onSave: (def) => saveWeapons([def], ([key]) => `Saved "${key}"`),
+    onDelete: (key) => {
+      removeWeapon(key);
+      storeWeapons();
+      refreshWeapons();
+      weaponEditor.setStatus(`Deleted "${key}"`);
+    },
+    onExport: (def) => downloadText(`xy-fight-weapon-${def.key}.json`, JSON.stringify(def, null, 2)),
+    onImportFile: (text) => {
+      let defs;
+      try {
+        defs = parseWeapons(text);
+      } catch (e) {
+        alert(e.message);
+        return;
+      }
+      saveWeapons(defs, (keys) => `Imported ${keys.length} weapon${keys.length === 1 ? "" : "s"}`);
+    }
+  });
+  if (invalidWeapons.length > 0) weaponEditor.setStatus(invalidWeapons.join("\n"), true);
+
+  // The chosen map with the Options shape applied (a null shape keeps the map's own)
+  function arenaMap(mapKey, shape) {
+    const map = getMap(mapKey);
+    if (map && shape) map.arena = { ...map.arena, shape };
+    return map;
+  }
+
   // Initialize UI and wire callbacks
   const ui = initUI({
     weaponsList,
-    onStart: ({ mode, roster }) => {
-      // Normalize roster (array of weapon keys)
-      const config = { mode, roster };
-      // start the match
-      game.startMatch(config);
+    mapsList: listMaps(),
+    onStart: ({ mode, roster, armies, seed, map: mapKey, shape, hazards, movement, tactics }) => {
+      // Normalize roster (array of weapon keys); seed is undefined for a random battle.
+      // Massive mode sends armies instead, which become a roster with fixed teams.
+      let teams = null;
+      if (armies) {
+        try {
+          ({ roster, teams } = armyRoster(armies));
+        } catch (e) {
+          alert(e.message);
+          return false;
+        }
+      }
+      const map = arenaMap(mapKey, shape);
+      const scripts = armies ? [] : scriptUI.getAssignments();
+      scriptUI.setStatus("");
+      const config = { mode, roster, teams, seed, map, hazards, movement, tactics, scripts };
+      // start the match (it refuses e.g. armies too big for the arena)
+      replayUI.hide();
+      try {
+        game.startMatch(config);
+      } catch (e) {
+        alert(e.message);
+        return false;
+      }
     },
     onReplay: () => {
-      game.replay();
+      replayUI.hide();
+      try {
+        game.replay();
+      } catch (e) {
+        alert(e.message); // the window may have shrunk since the match started
+      }
+    },
+    onWatchReplay: () => {
+      // Play back the exact fight that just ended
+      if (game.playLastRecording()) replayUI.show();
     },
     onBack: () => {
       // Stop running simulation and reset UI to allow new selection
       try { game.stop(); } catch (e) { /* ignore */ }
+      replayUI.hide();
       ui.hideOverlay();
       ui.resetSelection();
     },
+    onImportMap: (text) => {
+      let map;
+      try {
+        map = parseMap(text);
+      } catch (e) {
+        alert(e.message);
+        return;
+      }
+      const key = registerMap(map);
+      ui.setMaps(listMaps(), key);
+    },
+    onSelectionChange: (roster) => {
+      scriptUI.setRoster(roster.map(key => ({ key, name: weaponsList.find(w => w.key === key)?.name ?? key })));
+    },
+    getArmyCapacity: ({ armies, map, shape }) => {
+      try {
+        return game.armyCapacity(armies, arenaMap(map, shape));
+      } catch (e) {
+        return null; // e.g. a bad count; starting the match reports it
+      }
+    },
+    onTogglePause: () => game.togglePause(),
+    onStepOnce: () => game.stepOnce(),
     onOptionsChange: (opts) => {
       if (opts.timeScale != null) game.setTimeScale(opts.timeScale);
       game.setOptions({
         showHPBars: opts.showHPBars,
-        showDamage: opts.showDamage
+        showDamage: opts.showDamage,
+        showDebug: opts.showDebug,
+        showPerf: opts.showPerf
       });
     }
   });
 
-  window.addEventListener("resize", () => {
-    // Resize visual canvas; physics playArea is static and will not be rebuilt automatically.
-    // For accurate physics/playArea after significant resize, reload the page is recommended.
-    resizeCanvas();
+  // Balance Lab: batch headless matchups
+  let labCancelled = false;
+  async function runLab(start) {
+    labCancelled = false;
+    let promise;
+    try {
+      promise = start({
+        onProgress: (p) => lab.setProgress(p),
+        isCancelled: () => labCancelled
+      });
+    } catch (e) {
+      alert(e.message);
+      return;
+    }
+    lab.setRunning(true);
+    try {
+      const result = await promise;
+      if (result) lab.showResult(result);
+      else lab.setStatus("Cancelled");
+    } catch (e) {
+      alert(e.message);
+      lab.setStatus("Failed");
+    } finally {
+      lab.setRunning(false);
+    }
+  }
+
+  const lab = initLabUI({
+    onRunWeapons: (settings) => {
+      // Selected fighters if there are enough, otherwise the whole roster
+      const selection = ui.getSelection();
+      const weaponKeys = selection.length >= 2 ? selection : weaponsList.filter(w => !w.error).map(w => w.key);
+      runLab((hooks) => runWeaponMatchups({ weaponKeys, ...settings, ...hooks }));
+    },
+    onRunCompositions: ({ compositions, ...settings }) => {
+      if (compositions.length < 2) {
+        alert("Enter at least 2 team compositions, one per line.");
+        return;
+      }
+      runLab((hooks) => runCompositionMatchups({ compositions, ...settings, ...hooks }));
+    },
+    onCancel: () => {
+      labCancelled = true;
+    },
+    onExport: (result, format) => {
+      const base = `xy-fight-${result.kind}-${result.seed}`;
+      if (format === "csv") downloadText(`${base}.csv`, matchupsToCsv(result), "text/csv");
+      else downloadText(`${base}.json`, JSON.stringify(result, null, 2));
+    }
   });
+
+  // Live resizing: window resizes, tablet rotation, and devicePixelRatio changes (moving
+  // the window to another monitor, browser zoom) all rebuild the canvas and arena bounds.
+  // Coalesced to one rebuild per frame since resize events fire continuously while dragging.
+  let resizeQueued = false;
+  function queueResize() {
+    if (resizeQueued) return;
+    resizeQueued = true;
+    requestAnimationFrame(() => {
+      resizeQueued = false;
+      resizeCanvas();
+      game.resize();
+      ui.updateArmyCount();
+    });
+  }
+
+  window.addEventListener("resize", queueResize);
+
+  // A resolution media query only matches the current ratio, so re-arm it after each change
+  function watchPixelRatio() {
+    if (!window.matchMedia) return;
+    const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+    query.addEventListener?.("change", () => {
+      queueResize();
+      watchPixelRatio();
+    }, { once: true });
+  }
+  watchPixelRatio();
 }
 
 if (document.readyState === "loading") {
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+/**
+ * Command-line matchup runner (engine/matchups.js) for bulk balance runs.
+ *
+ * Requires Node 20+ and the matter-js package (same version as index.html):
+ *   npm install --no-save matter-js@0.19.0
+ *
+ * Examples:
+ *   node tools/matchups.mjs --matches 50 --seed 7
+ *   node tools/matchups.mjs --weapons sword,bow,cannon --format json --out results.json
+ *   node tools/matchups.mjs --comp sword+healer --comp bow+blaster --comp hammer+mage
+ */
+
+import { writeFileSync } from "node:fs";
+
+const args = parseArgs(process.argv.slice(2));
+if (args.help) {
+  printUsage();
+  process.exit(0);
+}
+
+// engine/physics.js expects Matter as a global, like the page provides
+try {
+  globalThis.Matter = (await import("matter-js")).default;
+} catch (e) {
+  console.error("matter-js is not installed. Run: npm install --no-save matter-js@0.19.0");
+  process.exit(1);
+}
+
+const { weapons } = await import("../engine/weapons.js");
+const { runWeaponMatchups, runCompositionMatchups, matchupsToCsv } = await import("../engine/matchups.js");
+
+const opts = {
+  matchesPerPair: args.matches,
+  seed: args.seed,
+  maxTimeMs: args.maxTime * 1000,
+  onProgress: ({ done, total }) => {
+    if (process.stderr.isTTY) process.stderr.write(`\r${done}/${total} matches`);
+  }
+};
+
+let result;
+try {
+  result = args.comps.length
+    ? await runCompositionMatchups({
+      compositions: args.comps.map(c => ({ roster: c.split("+").map(k => k.trim()).filter(Boolean) })),
+      ...opts
+    })
+    : await runWeaponMatchups({ weaponKeys: args.weapons ?? Object.keys(weapons), ...opts });
+} catch (e) {
+  console.error("\n" + e.message);
+  process.exit(1);
+}
+if (process.stderr.isTTY) process.stderr.write("\n");
+
+const output = args.format === "json" ? JSON.stringify(result, null, 2) + "\n" : matchupsToCsv(result);
+if (args.out) {
+  writeFileSync(args.out, output);
+  console.error(`Wrote ${args.out}`);
+} else {
+  process.stdout.write(output);
+}
+
+function parseArgs(argv) {
+  const out = { matches: 10, seed: 1, maxTime: 180, format: "csv", weapons: null, comps: [], out: null, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const next = () => {
+      const v = argv[++i];
+      if (v == null) fail(`Missing value for ${a}`);
+      return v;
+    };
+    if (a === "--matches") out.matches = positiveInt(next(), a);
+    else if (a === "--seed") out.seed = positiveInt(next(), a);
+    else if (a === "--max-time") out.maxTime = positiveInt(next(), a);
+    else if (a === "--format") out.format = next();
+    else if (a === "--weapons") out.weapons = next().split(",").map(k => k.trim()).filter(Boolean);
+    else if (a === "--comp") out.comps.push(next());
+    else if (a === "--out") out.out = next();
+    else if (a === "--help" || a === "-h") out.help = true;
+    else fail(`Unknown argument: ${a}`);
+  }
+  if (out.format !== "csv" && out.format !== "json") fail("--format must be csv or json");
+  if (out.comps.length === 1) fail("Give at least two --comp entries");
+  return out;
+}
+
+function positiveInt(value, flag) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) fail(`${flag} must be a non-negative integer`);
+  return n;
+}
+
+function fail(message) {
+  console.error(message);
+  printUsage();
+  process.exit(1);
+}
+
+function printUsage() {
+  console.error(`Usage: node tools/matchups.mjs [options]
+  --weapons a,b,c   weapons for the 1v1 round robin (default: all)
+  --comp a+b        team composition; repeat for each side (switches to composition mode)
+  --matches N       matches per pair (default 10)
+  --seed N          batch seed (default 1)
+  --max-time S      simulated seconds before a match is a draw (default 180)
+  --format csv|json output format (default csv)
+  --out FILE        write to FILE instead of stdout`);
+}
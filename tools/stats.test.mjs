@@ -0,0 +1,65 @@
+/**
+ * Checks the per-fighter match statistics (engine/stats.js) against the combat events
+ * of real headless matches.
+ *
+ * Requires Node 20+ and the matter-js package (same version as index.html):
+ *   npm install --no-save matter-js@0.19.0
+ *   node --test tools/
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// engine/physics.js expects Matter as a global, like the page provides
+globalThis.Matter = (await import("matter-js")).default;
+
+const { createSimulation } = await import("../engine/simulation.js");
+const { createEmitter } = await import("../engine/events.js");
+const { createStatsTracker } = await import("../engine/stats.js");
+
+const MAX_MATCH_MS = 120000;
+
+// Plays shooter vs melee to the end, counting what the events say alongside the tracker
+function playMatch(shooter, melee, seed) {
+  const events = createEmitter();
+  const stats = createStatsTracker(events);
+  const counted = { projectileDamage: 0, fired: 0, expired: 0 };
+  let shooterId = null;
+  events.on("matchStart", ({ fighters }) => { shooterId = fighters[0].id; });
+  events.on("damage", ({ attackerId, cause }) => {
+    if (attackerId === shooterId && cause === "projectile") counted.projectileDamage++;
+  });
+  events.on("projectileFired", ({ ownerId }) => {
+    if (ownerId === shooterId) counted.fired++;
+  });
+  events.on("projectileExpired", ({ ownerId }) => {
+    if (ownerId === shooterId) counted.expired++;
+  });
+
+  const sim = createSimulation({ width: 1000, height: 700, mode: "1v1", roster: [shooter, melee], seed, events });
+  while (!sim.isOver() && sim.getTime() < MAX_MATCH_MS) sim.step();
+  assert.ok(sim.isOver(), `${shooter} v ${melee} (seed ${seed}) ran out of time`);
+
+  const report = stats.getReport();
+  return { counted, shooter: report.fighters.find(f => f.id === shooterId) };
+}
+
+// In a 1v1 a shot can hit the lone enemy at most once, so every shot that hit deals exactly
+// one projectile damage event (boomerangs hit again on the way back and are left out)
+for (const shooter of ["bow", "blaster", "cannon", "missiles"]) {
+  test(`${shooter}: projectile hits match the projectile damage events`, () => {
+    for (const [melee, seed] of [["sword", 1], ["spear", 2], ["hammer", 3]]) {
+      const { counted, shooter: stats } = playMatch(shooter, melee, seed);
+      assert.ok(counted.projectileDamage > 0, `${shooter} v ${melee} (seed ${seed}) never hit`);
+      assert.equal(stats.projectileHits, counted.projectileDamage, `${shooter} v ${melee} (seed ${seed})`);
+      assert.equal(stats.projectilesFired, counted.fired);
+    }
+  });
+}
+
+test("every fired projectile expires by the end of the match", () => {
+  for (const [shooter, seed] of [["bow", 4], ["boomerang", 5], ["missiles", 6]]) {
+    const { counted } = playMatch(shooter, "sword", seed);
+    assert.equal(counted.expired, counted.fired, `${shooter} (seed ${seed})`);
+  }
+});